@@ -1,21 +1,222 @@
 import { createClient } from '@supabase/supabase-js';
 import fetch from 'node-fetch';
 import crypto from 'crypto';
+import PQueue from 'p-queue';
+import { DEFAULT_SEVERITY, SEVERITY_LEVELS, validateGuideline } from '../lib/guideline-schema.js';
+import { createCacheBackend, createCacheStore } from '../lib/cache-store.js';
+import { logger, resolveTraceId, runWithTrace, getTraceId } from '../lib/logger.js';
+import { createMetricsRegistry } from '../lib/metrics.js';
+import { createFixtureStore, getProviderMode } from '../lib/model-fixtures.js';
+import { LAYER_RESULTS_SCHEMA, WRAPPED_RESULTS_SCHEMA, toGeminiSchema, parseLayerResults } from '../lib/model-output.js';
+import { CONSENSUS_STRATEGIES, mergeViolations } from '../lib/consensus.js';
+import { createCalibrator, validateCalibration } from '../lib/calibration.js';
+import { extractTerms, selectWithinBudget, termSimilarity } from '../lib/rule-selection.js';
 
 // Add this constant at the top with other configs
 const MAX_LAYERS_PER_REQUEST = 25;
 const OPTIMAL_BATCH_SIZE = 12;
 
+const OPENROUTER_ENDPOINT = 'https://openrouter.ai/api/v1/chat/completions';
+
+// Any OpenAI-compatible chat completions model (OpenRouter by default)
+function createOpenAICompatibleConfig({ model, name, endpoint = OPENROUTER_ENDPOINT, envKey = 'OPENROUTER_API_KEY', pricing = null, structuredOutput = false }) {
+  return {
+    provider: 'openai',
+    endpoint,
+    envKey,
+    model,
+    name: name || model,
+    pricing,
+    // Send a json_schema response_format; only some providers and models honour it
+    structuredOutput,
+    parseResponse: (data) => data?.choices?.[0]?.message?.content || '',
+    parseUsage: (data) => data?.usage ? {
+      promptTokens: data.usage.prompt_tokens || 0,
+      completionTokens: data.usage.completion_tokens || 0
+    } : null
+  };
+}
+
+// Reasoning models served locally (Qwen3, DeepSeek-R1) think out loud first
+function stripReasoning(content) {
+  return (content || '').replace(/<think>[\s\S]*?(<\/think>|$)/gi, '');
+}
+
+/**
+ * Self-hosted model (Ollama, llama.cpp server, vLLM) for copy that must not
+ * leave our infrastructure. `api: 'openai'` speaks /v1/chat/completions,
+ * `api: 'ollama'` the native /api/chat, which also sets the context window.
+ * Batches are split so each prompt fits `contextTokens - maxOutputTokens`.
+ */
+function createLocalModelConfig({ model, name, endpoint, api = 'openai', envKey = null, contextTokens = 8192, maxOutputTokens = 2048, pricing = { input: 0, output: 0 }, structuredOutput = false }) {
+  return {
+    provider: 'local',
+    local: true,
+    api,
+    endpoint,
+    envKey,
+    model,
+    name: name || `${model} (self-hosted)`,
+    pricing,
+    structuredOutput,
+    contextTokens,
+    maxOutputTokens,
+    promptBudgetTokens: contextTokens - maxOutputTokens,
+    parseResponse: (data) => stripReasoning(api === 'ollama' ? data?.message?.content : data?.choices?.[0]?.message?.content),
+    parseUsage: (data) => {
+      if (api === 'ollama') {
+        return data?.prompt_eval_count !== undefined
+          ? { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 }
+          : null;
+      }
+      return data?.usage ? {
+        promptTokens: data.usage.prompt_tokens || 0,
+        completionTokens: data.usage.completion_tokens || 0
+      } : null;
+    }
+  };
+}
+
 // Add after the existing constants (around line 10):
 const MODEL_CONFIGS = {
   gemini: {
+    provider: 'gemini',
     endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:generateContent',
     envKey: 'GEMINI_API_KEY',
+    model: 'gemini-2.5-flash-lite',
     name: 'Gemini 2.5 Flash Lite',
-    parseResponse: (data) => data?.candidates?.[0]?.content?.parts?.[0]?.text || ''
-  }
+    // USD per million tokens
+    pricing: { input: 0.10, output: 0.40 },
+    // responseSchema constrains decoding to the result array
+    structuredOutput: true,
+    parseResponse: (data) => data?.candidates?.[0]?.content?.parts?.[0]?.text || '',
+    // Thinking tokens are billed as output
+    parseUsage: (data) => data?.usageMetadata ? {
+      promptTokens: data.usageMetadata.promptTokenCount || 0,
+      completionTokens: (data.usageMetadata.candidatesTokenCount || 0) + (data.usageMetadata.thoughtsTokenCount || 0)
+    } : null
+  },
+  nova: createOpenAICompatibleConfig({
+    model: 'amazon/nova-2-lite-v1:free',
+    name: 'Amazon Nova 2 Lite',
+    pricing: { input: 0, output: 0 }
+  })
 };
 
+// Extra OpenAI-compatible models, e.g.
+// OPENAI_COMPATIBLE_MODELS='{"qwen":{"model":"qwen/qwen3-32b","name":"Qwen3 32B"}}'
+try {
+  const extraModels = JSON.parse(process.env.OPENAI_COMPATIBLE_MODELS || '{}');
+  Object.entries(extraModels).forEach(([key, options]) => {
+    if (MODEL_CONFIGS[key] || !options?.model) {
+      logger.warn(`Skipping model config "${key}": duplicate key or missing model`);
+      return;
+    }
+    MODEL_CONFIGS[key] = createOpenAICompatibleConfig(options);
+  });
+} catch (err) {
+  logger.error('Invalid OPENAI_COMPATIBLE_MODELS', { error: err.message });
+}
+
+// Self-hosted models, e.g.
+// LOCAL_MODELS='{"llama":{"model":"llama3.1:8b","endpoint":"http://gpu-1:11434/api/chat","api":"ollama","contextTokens":16384}}'
+try {
+  const localModels = JSON.parse(process.env.LOCAL_MODELS || '{}');
+  Object.entries(localModels).forEach(([key, options]) => {
+    if (MODEL_CONFIGS[key] || !options?.model || !options?.endpoint) {
+      logger.warn(`Skipping local model "${key}": duplicate key or missing model/endpoint`);
+      return;
+    }
+    if (options.api && !['openai', 'ollama'].includes(options.api)) {
+      logger.warn(`Skipping local model "${key}": api must be "openai" or "ollama"`);
+      return;
+    }
+    const config = createLocalModelConfig(options);
+    if (!(config.promptBudgetTokens > 0)) {
+      logger.warn(`Skipping local model "${key}": maxOutputTokens must be below contextTokens`);
+      return;
+    }
+    MODEL_CONFIGS[key] = config;
+  });
+} catch (err) {
+  logger.error('Invalid LOCAL_MODELS', { error: err.message });
+}
+
+// Price table overrides in USD per million tokens, e.g.
+// MODEL_PRICING='{"gemini":{"input":0.1,"output":0.4},"qwen":{"input":0.08,"output":0.24}}'
+try {
+  const pricingOverrides = JSON.parse(process.env.MODEL_PRICING || '{}');
+  Object.entries(pricingOverrides).forEach(([key, pricing]) => {
+    if (!MODEL_CONFIGS[key] || !Number.isFinite(pricing?.input) || !Number.isFinite(pricing?.output)) {
+      logger.warn(`Skipping pricing for "${key}": unknown model or non-numeric input/output price`);
+      return;
+    }
+    MODEL_CONFIGS[key].pricing = { input: pricing.input, output: pricing.output };
+  });
+} catch (err) {
+  logger.error('Invalid MODEL_PRICING', { error: err.message });
+}
+
+// Raw → calibrated confidence points per model (lib/calibration.js), from
+// GET /api/feedback?view=calibration or `npm run eval -- --calibrate`
+let CONFIDENCE_CALIBRATION = {};
+try {
+  CONFIDENCE_CALIBRATION = validateCalibration(JSON.parse(process.env.CONFIDENCE_CALIBRATION || '{}'));
+} catch (err) {
+  logger.error('Invalid CONFIDENCE_CALIBRATION, using raw confidences', { error: err.message });
+}
+const calibrateConfidence = createCalibrator(CONFIDENCE_CALIBRATION);
+
+// Findings below this calibrated confidence are returned as suggestions unless the request sets minConfidence
+const DEFAULT_MIN_CONFIDENCE = parseFloat(process.env.MIN_CONFIDENCE || '0.5');
+// A model finding without a confidence tells us nothing either way
+const UNKNOWN_CONFIDENCE = 0.5;
+
+// Order in which models are tried when the selected one is unavailable
+const MODEL_FALLBACK_CHAIN = (process.env.MODEL_FALLBACK_CHAIN || 'gemini,nova')
+  .split(',')
+  .map(key => key.trim())
+  .filter(key => MODEL_CONFIGS[key]);
+
+// Models cross-checked by `consensus: true`; defaults to the selected model and the next one in its chain
+const CONSENSUS_MODELS = (process.env.CONSENSUS_MODELS || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+
+// Live model calls, or record/replay against fixture files (lib/model-fixtures.js)
+let MODEL_PROVIDER_MODE = 'live';
+try {
+  MODEL_PROVIDER_MODE = getProviderMode();
+} catch (err) {
+  logger.error('Invalid MODEL_PROVIDER_MODE, using live models', { error: err.message });
+}
+const modelFixtures = MODEL_PROVIDER_MODE === 'live' ? null : createFixtureStore();
+if (modelFixtures) {
+  logger.info(`📼 Model provider mode: ${MODEL_PROVIDER_MODE} (${modelFixtures.dir})`);
+}
+
+// Replayed, mock and keyless self-hosted models need no API key
+function isModelAvailable(config) {
+  return !config.envKey || MODEL_PROVIDER_MODE === 'replay' || Boolean(process.env[config.envKey]);
+}
+
+/**
+ * Add an in-process model (lib/mock-models.js) under `key`. Only allowed in
+ * record or replay mode, so a deployment on live models never serves canned
+ * responses.
+ */
+function registerMockModel(key, config) {
+  if (config?.provider !== 'mock') {
+    throw new Error(`${key} is not a mock model config`);
+  }
+  if (MODEL_PROVIDER_MODE === 'live') {
+    throw new Error(`Mock model ${key} needs MODEL_PROVIDER_MODE=record or replay`);
+  }
+  MODEL_CONFIGS[key] = config;
+  return key;
+}
+
 // Init Supabase
 let supabase;
 try {
@@ -24,18 +225,101 @@ try {
   }
   supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
 } catch (err) {
-  console.error('Supabase initialization error:', err);
+  logger.error('Supabase initialization error', err);
+}
+
+// Analysis cache and text relationships: in-process LRU in front of the
+// configured backend. Without Supabase the cache stays in memory.
+const CACHE_BACKEND = process.env.CACHE_BACKEND || (supabase ? 'supabase' : 'memory');
+const cacheStore = createCacheStore({
+  backend: createCacheBackend(CACHE_BACKEND, {
+    supabase,
+    path: process.env.CACHE_SQLITE_PATH,
+    maxEntries: process.env.CACHE_MAX_ENTRIES ? parseInt(process.env.CACHE_MAX_ENTRIES, 10) : undefined
+  }),
+  ttlMs: process.env.CACHE_TTL_HOURS ? parseFloat(process.env.CACHE_TTL_HOURS) * 60 * 60 * 1000 : undefined,
+  lruMaxEntries: process.env.CACHE_LRU_MAX_ENTRIES ? parseInt(process.env.CACHE_LRU_MAX_ENTRIES, 10) : undefined
+});
+
+// --- Metrics ---
+// Served by /api/metrics in Prometheus text format, per instance
+const metrics = createMetricsRegistry({ prefix: 'content_lint_' });
+const httpRequestsTotal = metrics.counter('http_requests_total', 'API requests by endpoint, method and status', ['endpoint', 'method', 'status']);
+const httpRequestDuration = metrics.histogram('http_request_duration_seconds', 'API request duration', ['endpoint']);
+const layerResultsTotal = metrics.counter('layer_results_total', 'Layer results by the pipeline stage that produced them', ['stage']);
+const modelRequestDuration = metrics.histogram('model_request_duration_seconds', 'Model call latency per attempt', ['model', 'outcome']);
+const modelRetriesTotal = metrics.counter('model_retries_total', 'Model calls retried after a failed attempt', ['model']);
+const modelJsonParseFailuresTotal = metrics.counter('model_json_parse_failures_total', 'Model responses with no readable layer results', ['model']);
+const modelPartialResponsesTotal = metrics.counter('model_partial_responses_total', 'Model responses missing some of the layers sent, by cause (truncated, dropped)', ['model', 'cause']);
+const modelUnknownLayerIdsTotal = metrics.counter('model_unknown_layer_ids_total', 'Results for layer IDs the model was never sent, discarded', ['model']);
+const modelFallbacksTotal = metrics.counter('model_fallbacks_total', 'Moves to the next model in the chain, by failed model and reason', ['model', 'reason']);
+const modelLayersAnalyzedTotal = metrics.counter('model_layers_analyzed_total', 'Layers analysed per model', ['model']);
+const modelTokensTotal = metrics.counter('model_tokens_total', 'Tokens billed per model, by prompt or completion', ['model', 'type']);
+const modelCostUsdTotal = metrics.counter('model_cost_usd_total', 'Estimated model spend in USD from the price table', ['model']);
+const promptGuidelinesOmittedTotal = metrics.counter('prompt_guidelines_omitted_total', 'Guidelines left out of a model prompt, by reason (out_of_scope, budget)', ['reason']);
+const fallbackLayersTotal = metrics.counter('fallback_layers_total', 'Layers answered with a fallback result, by reason', ['reason']);
+metrics.collected('cache_lookups_total', 'Cache lookups by result since the instance started', 'counter', () => {
+  const { lruHits, backendHits, misses, backendErrors } = cacheStore.stats();
+  return [
+    { labels: { result: 'lru_hit' }, value: lruHits },
+    { labels: { result: 'backend_hit' }, value: backendHits },
+    { labels: { result: 'miss' }, value: misses },
+    { labels: { result: 'error' }, value: backendErrors }
+  ];
+});
+metrics.collected('cache_hit_ratio', 'Share of cache lookups answered from the LRU or the backend', 'gauge', () => {
+  const { lruHits, backendHits, misses } = cacheStore.stats();
+  const lookups = lruHits + backendHits + misses;
+  return lookups > 0 ? [{ value: Math.round(((lruHits + backendHits) / lookups) * 1000) / 1000 }] : [];
+});
+
+/**
+ * Wrap an API route: assigns the request's trace ID (echoed as `X-Request-Id`
+ * and on `req.traceId`), runs the handler inside it so every log line carries
+ * it, and records request count and duration.
+ */
+function instrumentHandler(endpoint, handler) {
+  return async function instrumentedHandler(req, res) {
+    const traceId = resolveTraceId(req);
+    const startedAt = Date.now();
+    req.traceId = traceId;
+    res.setHeader('X-Request-Id', traceId);
+
+    return runWithTrace(traceId, async () => {
+      try {
+        return await handler(req, res);
+      } finally {
+        httpRequestsTotal.inc({ endpoint, method: req.method, status: res.statusCode });
+        httpRequestDuration.observe({ endpoint }, (Date.now() - startedAt) / 1000);
+      }
+    });
+  };
 }
 
-// Guidelines processing cache
-let guidelinesCache = null;
-let cachedGuidelinesHash = null;
+// Guidelines processing cache, one entry per guidelines version (i.e. per set)
+const MAX_PROCESSED_GUIDELINE_VERSIONS = 20;
+const processedGuidelinesCache = new Map();
+
+// Prompt audience when a guideline set does not define its own
+const DEFAULT_CONTENT_CONTEXT = 'Indian UI content';
 
 // CORS headers
-function setCorsHeaders(res) {
+function setCorsHeaders(res, methods = 'GET, POST, OPTIONS') {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id, X-Api-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
+}
+
+// Management endpoints require `Authorization: Bearer <ADMIN_API_KEY>`
+function isAdminRequest(req) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const provided = (req.headers?.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!adminKey || !provided) return false;
+
+  const expected = Buffer.from(adminKey);
+  const actual = Buffer.from(provided);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 }
 
 // Create a shared utility object
@@ -69,200 +353,293 @@ function createTextFingerprint(text) {
 }
 
 // Enhanced cache key with text normalization
-function createNormalizedCacheKey(text, guidelinesHash) {
+function createNormalizedCacheKey(text, guidelinesHash, context = null) {
   const normalizedText = TextUtils.normalize(text);
   const textHash = crypto.createHash('sha256').update(normalizedText).digest('hex');
-  return `${textHash}:${guidelinesHash}`;
+  return `${textHash}:${guidelinesHash}${createContextCacheSuffix(context, normalizedText)}`;
 }
 
-// Create guidelines hash for version control
-function createGuidelinesHash(guidelines) {
-  const guidelinesString = JSON.stringify(guidelines.map(g => ({
-    id: g.id,
-    version: g.version,
-    category: g.category,
-    rules: g.rules,
-    updated_at: g.updated_at
-  })));
+// Create guidelines hash for version control. The set id is part of the hash so
+// cache keys and relationship versions never match across guideline sets.
+// Suppression rules and glossary terms change what gets reported, so they
+// version results too.
+function createGuidelinesHash(guidelines, guidelineSet = null, { suppressionRules = [], glossaryTerms = [] } = {}) {
+  const guidelinesString = JSON.stringify({
+    scope: guidelineSet?.id || 'global',
+    guidelines: guidelines.map(g => ({
+      id: g.id,
+      version: g.version,
+      category: g.category,
+      title: g.title,
+      severity: g.severity,
+      rules: g.rules,
+      updated_at: g.updated_at
+    })),
+    suppressions: suppressionRules.map(rule => ({ id: rule.id, updated_at: rule.updated_at })),
+    glossary: glossaryTerms.map(term => ({ id: term.id, updated_at: term.updated_at }))
+  });
   return crypto.createHash('sha256').update(guidelinesString).digest('hex').slice(0, 16);
 }
 
 // --- TIMEOUT-PROTECTED cache functions ---
-async function getCachedAnalysisWithTimeout(text, guidelinesHash, layerId, timeout = 2500) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    const cacheKey = createNormalizedCacheKey(text, guidelinesHash);
-    const { data, error } = await supabase
-      .from('analysis_cache')
-      .select('analysis_result')
-      .eq('cache_key', cacheKey)
-      .abortSignal(controller.signal)
-      .single();
-
-    clearTimeout(timeoutId);
+// Both go through cacheStore, which answers from its LRU when it can and never
+// throws: a slow or failing backend is a cache miss.
+async function getCachedAnalysisWithTimeout(text, guidelinesHash, layerId, timeout = 2500, context = null) {
+  const cacheKey = createNormalizedCacheKey(text, guidelinesHash, context);
+  const analysisResult = await cacheStore.getAnalysis(cacheKey, { guidelinesVersion: guidelinesHash, timeout });
+  if (!analysisResult) return null;
 
-    if (error || !data) return null;
+  // The cache key is normalized, so this layer's text can differ in whitespace
+  // from the one the entry was created for; re-anchor the spans to it
+  const violations = resolveViolationSpans(text, analysisResult.violations || []);
 
-    return {
-      ...data.analysis_result,
-      id: layerId,
-      fromCache: true,
-      cacheKey
-    };
-  } catch (err) {
-    clearTimeout(timeoutId);
-    console.error(`Cache retrieval timeout for ${layerId}:`, err.message);
-    return null;
-  }
+  return {
+    ...analysisResult,
+    id: layerId,
+    hasViolations: violations.length > 0,
+    violations,
+    correctedText: buildCorrectedText(text, violations),
+    originalText: text,
+    fromCache: true,
+    cacheKey
+  };
 }
 
-async function setCachedAnalysisWithTimeout(text, guidelinesHash, result, timeout = 8000) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    const cacheKey = createNormalizedCacheKey(text, guidelinesHash);
-    const cacheData = {
-      cache_key: cacheKey,
-      analysis_result: {
-        hasViolations: result.hasViolations,
-        violations: result.violations,
-        correctedText: result.correctedText,
-        originalText: result.originalText,
-        confidence: result.confidence,
-        analyzedAt: new Date().toISOString()
-      }
-    };
-
-    const { error } = await supabase
-      .from('analysis_cache')
-      .upsert(cacheData, { onConflict: 'cache_key' })
-      .abortSignal(controller.signal);
+async function setCachedAnalysisWithTimeout(text, guidelinesHash, result, timeout = 8000, context = null) {
+  const cacheKey = createNormalizedCacheKey(text, guidelinesHash, context);
+  await cacheStore.setAnalysis(cacheKey, {
+    hasViolations: result.hasViolations,
+    violations: result.violations,
+    correctedText: result.correctedText,
+    originalText: result.originalText,
+    confidence: result.confidence,
+    analyzedAt: new Date().toISOString()
+  }, { guidelinesVersion: guidelinesHash, timeout });
+}
 
-    clearTimeout(timeoutId);
+// --- Correction chains ---
+// Every stored relationship is an edge original → corrected, carrying the
+// violations that were found on the original, the layer it came from and, for a
+// manual re-edit of an earlier correction, the fingerprint of that parent. The
+// edges of a layer let us tell a fix from a revert and show how the copy got here.
+const MAX_LINEAGE_DEPTH = 5;
+// Unseen text this close to a previous correction of the same layer is a re-edit
+const RE_EDIT_SIMILARITY = 0.6;
+
+async function storeTextRelationship(originalText, correctedText, guidelinesHash, { violations = [], layerId = null, parentText = null } = {}) {
+  await cacheStore.setRelationship({
+    originalFingerprint: createTextFingerprint(originalText),
+    correctedFingerprint: createTextFingerprint(correctedText),
+    originalText: TextUtils.normalize(originalText),
+    correctedText: TextUtils.normalize(correctedText),
+    guidelinesVersion: guidelinesHash,
+    originalViolations: violations.map(({ start, end, ...violation }) => violation),
+    layerId: layerId === null || layerId === undefined ? null : String(layerId),
+    parentFingerprint: parentText ? createTextFingerprint(parentText) : null
+  });
+  logger.debug(`🔗 Stored relationship: "${originalText}" -> "${correctedText}"`);
+}
 
-    if (error) {
-      console.warn('Cache storage failed (non-critical):', error.message);
-    }
-  } catch (err) {
-    clearTimeout(timeoutId);
-    if (err.name !== 'AbortError') {
-      console.warn('Cache storage failed (non-critical):', err.message);
+// Normalized Levenshtein similarity, 1 for identical text
+function textSimilarity(a, b) {
+  const left = TextUtils.normalize(a);
+  const right = TextUtils.normalize(b);
+  if (left === right) return 1;
+  if (!left.length || !right.length) return 0;
+
+  let previous = Array.from({ length: right.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= left.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j++) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
     }
+    previous = current;
   }
+  return 1 - previous[right.length] / Math.max(left.length, right.length);
 }
 
-// --- ENHANCED: Bidirectional text relationship tracking ---
-async function storeTextRelationship(originalText, correctedText, guidelinesHash) {
-  try {
-    const originalFingerprint = createTextFingerprint(originalText);
-    const correctedFingerprint = createTextFingerprint(correctedText);
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-    const { error } = await supabase
-      .from('text_relationships')
-      .upsert({
-        original_fingerprint: originalFingerprint,
-        corrected_fingerprint: correctedFingerprint,
-        original_text: TextUtils.normalize(originalText),
-        corrected_text: TextUtils.normalize(correctedText),
-        guidelines_version: guidelinesHash
-      }, {
-        onConflict: 'original_fingerprint,corrected_fingerprint'
-      })
-      .abortSignal(controller.signal);
-
-    clearTimeout(timeoutId);
-
-    if (error) {
-      console.warn('Text relationship storage failed (non-critical):', error.message);
-    } else {
-      console.log(`🔗 Stored relationship: "${originalText}" -> "${correctedText}"`);
+/**
+ * Walk the edges backwards from `fingerprint` to the first text of its chain.
+ * Returns `[{ text, step }]` oldest first, where step is how that text came to
+ * be: 'original', 'corrected' (a fix was applied) or 'edited' (a designer
+ * reworked an earlier correction).
+ */
+function buildLineage(fingerprint, text, edges) {
+  const newest = (predicate) => edges.filter(predicate).sort((a, b) => b.createdAt - a.createdAt)[0];
+  const lineage = [];
+  const seen = new Set();
+  let current = { fingerprint, text };
+
+  while (current && lineage.length < MAX_LINEAGE_DEPTH && !seen.has(current.fingerprint)) {
+    seen.add(current.fingerprint);
+    const { fingerprint: fp } = current;
+
+    const fixedFrom = newest(edge => edge.correctedFingerprint === fp);
+    if (fixedFrom) {
+      lineage.unshift({ text: current.text, step: 'corrected' });
+      current = { fingerprint: fixedFrom.originalFingerprint, text: fixedFrom.originalText };
+      continue;
     }
-  } catch (err) {
-    console.warn('Text relationship storage failed (non-critical):', err.message);
+
+    const editedFrom = newest(edge => edge.originalFingerprint === fp && edge.parentFingerprint);
+    const parent = editedFrom && newest(edge => edge.correctedFingerprint === editedFrom.parentFingerprint);
+    lineage.unshift({ text: current.text, step: parent ? 'edited' : 'original' });
+    current = parent ? { fingerprint: parent.correctedFingerprint, text: parent.correctedText } : null;
   }
-}
 
-async function checkIfTextIsCorrectedVersion(text, guidelinesHash) {
-  try {
-    const textFingerprint = createTextFingerprint(text);
+  return lineage;
+}
 
-    const { data, error } = await supabase
-      .from('text_relationships')
-      .select('original_text, corrected_text')
-      .eq('corrected_fingerprint', textFingerprint)
-      .eq('guidelines_version', guidelinesHash)
-      .limit(1);
+/**
+ * Place `text` in the correction chains recorded for its layer:
+ * - `corrected`: the text is a known fix and counts as compliant
+ * - `reverted`: the text was flagged before and its fix was undone, so the
+ *   earlier violations apply again
+ * - `edited`: unseen text close to an earlier fix of the same layer
+ * Returns `{ status, lineage, edge }` or null when the text has no history.
+ */
+async function resolveCorrectionChain(text, guidelinesHash, layerId, timeout = 2500) {
+  const fingerprint = createTextFingerprint(text);
+  const edges = await cacheStore.findEdges(
+    { fingerprint, layerId: layerId === null || layerId === undefined ? null : String(layerId) },
+    guidelinesHash,
+    { timeout }
+  );
+  if (edges.length === 0) return null;
 
-    if (error || !data?.length) return null;
+  const newest = (predicate) => edges.filter(predicate).sort((a, b) => b.createdAt - a.createdAt)[0];
+  const asCorrected = newest(edge => edge.correctedFingerprint === fingerprint);
+  const asOriginal = newest(edge => edge.originalFingerprint === fingerprint);
 
+  // The most recent edge decides, so text moving back and forth gets the verdict of its last move
+  if (asOriginal && asOriginal.originalViolations.length > 0 && (!asCorrected || asOriginal.createdAt > asCorrected.createdAt)) {
     return {
-      isKnownCorrectedText: true,
-      originalText: data[0].original_text,
-      correctedText: data[0].corrected_text,
-      reason: 'recognized_as_corrected_version'
+      status: 'reverted',
+      edge: asOriginal,
+      lineage: [
+        ...buildLineage(asOriginal.correctedFingerprint, asOriginal.correctedText, edges),
+        { text: TextUtils.normalize(text), step: 'reverted' }
+      ]
     };
-  } catch (err) {
-    console.error('Corrected text check error:', err);
-    return null;
   }
+
+  if (asCorrected) {
+    return { status: 'corrected', edge: asCorrected, lineage: buildLineage(fingerprint, TextUtils.normalize(text), edges) };
+  }
+  if (asOriginal) {
+    return { status: 'original', edge: asOriginal, lineage: buildLineage(fingerprint, TextUtils.normalize(text), edges) };
+  }
+
+  const parent = edges
+    .filter(edge => edge.layerId && edge.layerId === String(layerId))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .find(edge => textSimilarity(text, edge.correctedText) >= RE_EDIT_SIMILARITY);
+  if (!parent) return null;
+
+  return {
+    status: 'edited',
+    edge: parent,
+    lineage: [
+      ...buildLineage(parent.correctedFingerprint, parent.correctedText, edges),
+      { text: TextUtils.normalize(text), step: 'edited' }
+    ]
+  };
 }
 
-// ENHANCED: Relationship-aware cache check
-async function getCachedAnalysisWithRelationships(text, guidelinesHash, layerId, timeout = 2500) {
-  const cachedResult = await getCachedAnalysisWithTimeout(text, guidelinesHash, layerId, timeout);
+// ENHANCED: Relationship-aware cache check. Returns `{ cached, lineage }`;
+// lineage is kept for uncached layers so their results can carry it too.
+async function getCachedAnalysisWithRelationships(text, guidelinesHash, layerId, timeout = 2500, context = null) {
+  const [cachedResult, chain] = await Promise.all([
+    getCachedAnalysisWithTimeout(text, guidelinesHash, layerId, timeout, context),
+    resolveCorrectionChain(text, guidelinesHash, layerId, timeout)
+  ]);
+  const lineage = chain?.lineage;
+
+  if (chain?.status === 'reverted') {
+    const violations = resolveViolationSpans(text, chain.edge.originalViolations);
+    if (violations.length > 0) {
+      logger.info(`↩️ "${text}" reverts "${chain.edge.correctedText}", re-flagging ${violations.length} earlier violation(s)`);
+      return {
+        cached: {
+          id: layerId,
+          hasViolations: true,
+          violations,
+          correctedText: buildCorrectedText(text, violations),
+          originalText: text,
+          confidence: null,
+          guidelinesVersion: guidelinesHash,
+          revertedFrom: chain.edge.correctedText,
+          fromRelationshipCache: true,
+          lineage
+        },
+        lineage
+      };
+    }
+  }
+
   if (cachedResult) {
-    return cachedResult;
+    return { cached: lineage ? { ...cachedResult, lineage } : cachedResult, lineage };
   }
 
-  const correctedVersionCheck = await checkIfTextIsCorrectedVersion(text, guidelinesHash);
-  if (correctedVersionCheck) {
-    console.log(`🎯 Recognized "${text}" as corrected version of "${correctedVersionCheck.originalText}"`);
+  if (chain?.status === 'corrected') {
+    logger.debug(`🎯 Recognized "${text}" as corrected version of "${chain.edge.originalText}"`);
 
     return {
-      id: layerId,
-      hasViolations: false,
-      violations: [],
-      correctedText: text,
-      originalText: text,
-      confidence: 0.95,
-      guidelinesVersion: guidelinesHash,
-      recognizedAsCorrected: true,
-      originalTextBefore: correctedVersionCheck.originalText,
-      fromRelationshipCache: true
+      cached: {
+        id: layerId,
+        hasViolations: false,
+        violations: [],
+        correctedText: text,
+        originalText: text,
+        confidence: null,
+        guidelinesVersion: guidelinesHash,
+        recognizedAsCorrected: true,
+        originalTextBefore: chain.edge.originalText,
+        fromRelationshipCache: true,
+        lineage
+      },
+      lineage
     };
   }
 
-  return null;
+  return { cached: null, lineage };
 }
 
 // ENHANCED: Cache corrections with relationship storage
 async function cacheCorrectionsAsCompliantWithRelationships(results, guidelinesHash) {
+  // correctedText leaves low-confidence suggestions unfixed, so with any
+  // suggestions it is not compliant text
   const cachePromises = results
-    .filter(result => result.hasViolations && result.correctedText !== result.originalText)
+    .filter(result => result.hasViolations && result.correctedText !== result.originalText && !(result.suggestions?.length > 0))
     .map(async (result) => {
       const compliantEntry = {
         hasViolations: false,
         violations: [],
         correctedText: result.correctedText,
         originalText: result.correctedText,
-        confidence: 0.95,
+        confidence: null,
         analyzedAt: new Date().toISOString(),
         markedAsCompliant: true
       };
 
       try {
-        await setCachedAnalysisWithTimeout(result.correctedText, guidelinesHash, compliantEntry, 6000);
-        await storeTextRelationship(result.originalText, result.correctedText, guidelinesHash);
+        // A fix on a re-edit hangs off the correction the designer started from
+        const lineage = result.lineage || [];
+        const parentText = lineage.length > 1 && lineage[lineage.length - 1].step === 'edited'
+          ? lineage[lineage.length - 2].text
+          : null;
+
+        await setCachedAnalysisWithTimeout(result.correctedText, guidelinesHash, compliantEntry, 6000, result.layerContext);
+        await storeTextRelationship(result.originalText, result.correctedText, guidelinesHash, {
+          violations: result.violations,
+          layerId: result.id,
+          parentText
+        });
 
-        console.log(`💾 Cached corrected text as compliant AND stored relationship: "${result.originalText}" -> "${result.correctedText}"`);
+        logger.debug(`💾 Cached corrected text as compliant AND stored relationship: "${result.originalText}" -> "${result.correctedText}"`);
       } catch (err) {
-        console.warn(`Cache storage failed for result: ${err.message}`);
+        logger.warn(`Cache storage failed for result: ${err.message}`);
       }
     });
 
@@ -276,18 +653,18 @@ function createCompliantResult(layer, guidelinesHash) {
     violations: [],
     correctedText: layer.text,
     originalText: layer.text,
-    confidence: 0.95,
+    confidence: null,
     guidelinesVersion: guidelinesHash,
     preFiltered: true,
     reason: layer.likelyCompliant ? 'client_heuristics' : 'recently_fixed'
   };
 }
 
-async function performOptimizedCacheCheckWithRelationships(textLayers, guidelinesHash, timeout = 3000) {
+async function performOptimizedCacheCheckWithRelationships(textLayers, guidelinesHash, timeout = 3000, { lookup = true } = {}) {
   const preCompliantLayers = textLayers.filter(layer => layer.likelyCompliant === true);
   const needsAnalysisLayers = textLayers.filter(layer => layer.likelyCompliant !== true);
 
-  console.log(`📊 Pre-analysis optimization: ${preCompliantLayers.length} pre-compliant, ${needsAnalysisLayers.length} need cache check`);
+  logger.info(`📊 Pre-analysis optimization: ${preCompliantLayers.length} pre-compliant, ${needsAnalysisLayers.length} need cache check`);
 
   const preCompliantResults = preCompliantLayers.map(layer =>
     createCompliantResult(layer, guidelinesHash)
@@ -295,9 +672,11 @@ async function performOptimizedCacheCheckWithRelationships(textLayers, guideline
 
   const cacheResults = await Promise.allSettled(
     needsAnalysisLayers.map(async (layer) => {
+      if (!lookup) return { layer, cached: null };
       try {
-        const cached = await getCachedAnalysisWithRelationships(layer.text, guidelinesHash, layer.id, timeout / Math.max(needsAnalysisLayers.length, 1));
-        return { layer, cached };
+        // Lookups run in parallel, so each gets the whole budget
+        const { cached, lineage } = await getCachedAnalysisWithRelationships(layer.text, guidelinesHash, layer.id, timeout, layer.context);
+        return { layer, cached, lineage };
       } catch (err) {
         return { layer, cached: null };
       }
@@ -306,12 +685,14 @@ async function performOptimizedCacheCheckWithRelationships(textLayers, guideline
 
   const cachedResults = [];
   const uncachedLayers = [];
+  const lineageByLayer = new Map();
 
   cacheResults.forEach((result) => {
     if (result.status === 'fulfilled' && result.value.cached) {
       cachedResults.push(result.value.cached);
     } else if (result.status === 'fulfilled') {
       uncachedLayers.push(result.value.layer);
+      if (result.value.lineage) lineageByLayer.set(result.value.layer.id, result.value.lineage);
     } else {
       uncachedLayers.push(result.reason?.layer || null);
     }
@@ -319,16 +700,163 @@ async function performOptimizedCacheCheckWithRelationships(textLayers, guideline
 
   return {
     cachedResults: [...preCompliantResults, ...cachedResults],
-    uncachedLayers: uncachedLayers.filter(Boolean)
+    uncachedLayers: uncachedLayers.filter(Boolean),
+    lineageByLayer
+  };
+}
+
+// --- Layer context: component role and available space ---
+
+// Average glyph width as a fraction of font size, for estimating capacity from box width
+const AVG_CHAR_WIDTH_RATIO = 0.55;
+// A layer counts as space constrained once its text fills this share of the space
+const SPACE_CONSTRAINED_RATIO = 0.9;
+
+// Roles whose text never ends in a full stop
+const LAYER_ROLES = {
+  button: { terminalPeriod: false },
+  link: { terminalPeriod: false },
+  heading: { terminalPeriod: false },
+  label: { terminalPeriod: false },
+  tab: { terminalPeriod: false },
+  badge: { terminalPeriod: false },
+  placeholder: { terminalPeriod: false },
+  toast: { terminalPeriod: true },
+  tooltip: { terminalPeriod: true },
+  error_message: { terminalPeriod: true },
+  body: { terminalPeriod: true }
+};
+
+// Inferred from Figma node names when the plugin sends no componentType
+const ROLE_NAME_PATTERNS = [
+  [/error|alert/i, 'error_message'],
+  [/toast|snackbar/i, 'toast'],
+  [/tooltip/i, 'tooltip'],
+  [/button|btn|cta/i, 'button'],
+  [/link/i, 'link'],
+  [/heading|title|\bh[1-6]\b/i, 'heading'],
+  [/\btab\b/i, 'tab'],
+  [/badge|chip|tag/i, 'badge'],
+  [/placeholder|input/i, 'placeholder'],
+  [/label/i, 'label'],
+  [/body|paragraph|description/i, 'body']
+];
+
+function positiveNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Normalize the optional `context` on a text layer
+ * (`{ nodeName, componentType, maxChars, fontSize, width, maxLines }`).
+ * Returns null when nothing usable was sent.
+ */
+function normalizeLayerContext(layer) {
+  const raw = layer.context;
+  if (!raw || typeof raw !== 'object') return null;
+
+  const nodeName = typeof raw.nodeName === 'string' ? raw.nodeName.trim() : undefined;
+  const componentType = typeof raw.componentType === 'string'
+    ? raw.componentType.trim().toLowerCase().replace(/[\s-]+/g, '_')
+    : undefined;
+
+  const role = LAYER_ROLES[componentType]
+    ? componentType
+    : ROLE_NAME_PATTERNS.find(([pattern]) => pattern.test(`${componentType || ''} ${nodeName || ''}`))?.[1];
+
+  const context = {
+    role,
+    nodeName,
+    maxChars: positiveNumber(raw.maxChars),
+    fontSize: positiveNumber(raw.fontSize),
+    width: positiveNumber(raw.width),
+    maxLines: positiveNumber(raw.maxLines)
+  };
+
+  if (context.maxChars) {
+    context.availableChars = Math.floor(context.maxChars);
+  } else if (context.width && context.fontSize) {
+    const charsPerLine = Math.floor(context.width / (context.fontSize * AVG_CHAR_WIDTH_RATIO));
+    context.availableChars = charsPerLine * Math.floor(context.maxLines || 1);
+  }
+
+  const hasContext = Object.values(context).some(value => value !== undefined);
+  return hasContext ? context : null;
+}
+
+function isSpaceConstrained(context, text) {
+  if (!context?.availableChars) return false;
+  return text.length >= context.availableChars * SPACE_CONSTRAINED_RATIO;
+}
+
+// What the model sees for each layer
+function toPromptLayer(layer) {
+  if (!layer.context) return { id: layer.id, text: layer.text };
+
+  return {
+    id: layer.id,
+    text: layer.text,
+    context: {
+      role: layer.context.role,
+      maxChars: layer.context.availableChars,
+      spaceConstrained: layer.context.availableChars ? isSpaceConstrained(layer.context, layer.text) : undefined
+    }
   };
 }
 
+// The same text can lint differently as a roomy heading and a cramped button
+function createContextCacheSuffix(context, text) {
+  if (!context) return '';
+  return `:${context.role || 'any'}:${isSpaceConstrained(context, text) ? 'tight' : 'roomy'}`;
+}
+
+/**
+ * Drop violations that contradict the layer's real space and role: fixes that
+ * would overflow the available characters, abbreviations when the full text
+ * fits, and a terminal full stop on roles that never take one.
+ */
+function applyLayerContextToViolations(text, violations, context) {
+  if (!context) return violations;
+
+  const roleProfile = LAYER_ROLES[context.role];
+  const constrained = isSpaceConstrained(context, text);
+  let projectedLength = text.length;
+
+  return violations.filter(v => {
+    const lengthDelta = v.suggested.length - (v.end - v.start);
+
+    if (context.availableChars) {
+      if (lengthDelta > 0 && projectedLength + lengthDelta > context.availableChars) {
+        logger.debug(`📐 Dropping "${v.original}" → "${v.suggested}": exceeds ${context.availableChars} chars`);
+        return false;
+      }
+      if (lengthDelta < 0 && !constrained && /abbreviat|space|shorten/i.test(`${v.ruleCategory} ${v.ruleDescription}`)) {
+        logger.debug(`📐 Dropping abbreviation "${v.original}" → "${v.suggested}": full form fits`);
+        return false;
+      }
+    }
+
+    if (roleProfile && !roleProfile.terminalPeriod && v.end === text.length &&
+        v.suggested.endsWith('.') && !v.original.endsWith('.')) {
+      logger.debug(`📐 Dropping terminal full stop on ${context.role}: "${text}"`);
+      return false;
+    }
+
+    projectedLength += lengthDelta;
+    return true;
+  });
+}
+
 // --- DYNAMIC GUIDELINES PROCESSING ---
 
+const toSeverity = (value, fallback = DEFAULT_SEVERITY) => (SEVERITY_LEVELS.includes(value) ? value : fallback);
+
 /**
- * Recursively extract rules from nested guideline structure
+ * Recursively extract rules from nested guideline structure. A `severity` key
+ * is not a rule: it sets the severity of the rules beside and below it.
  */
-function extractRulesRecursively(obj, parentCategory = '', parentId = '', path = []) {
+function extractRulesRecursively(obj, parentCategory = '', parentId = '', path = [], severity = DEFAULT_SEVERITY) {
   const extractedRules = [];
 
   if (!obj || typeof obj !== 'object') return extractedRules;
@@ -336,14 +864,17 @@ function extractRulesRecursively(obj, parentCategory = '', parentId = '', path =
   // Handle arrays
   if (Array.isArray(obj)) {
     obj.forEach((item, index) => {
-      extractedRules.push(...extractRulesRecursively(item, parentCategory, parentId, [...path, index]));
+      extractedRules.push(...extractRulesRecursively(item, parentCategory, parentId, [...path, index], severity));
     });
     return extractedRules;
   }
 
+  const objectSeverity = toSeverity(obj.severity, severity);
+
   // Handle objects
   Object.entries(obj).forEach(([key, value]) => {
     const currentPath = [...path, key];
+    if (key === 'severity') return;
 
     // Handle objects with enforcement_context - preserve contextual logic
     if (typeof value === 'object' && value !== null && value.enforcement_context) {
@@ -382,14 +913,14 @@ function extractRulesRecursively(obj, parentCategory = '', parentId = '', path =
         description: contextDescription,
         value: contextDescription,
         enforcement_context: context, // Preserve full context for prompt generation
-        severity: 'medium',
+        severity: toSeverity(value.severity, objectSeverity),
         ruleType: 'contextual_rule',
         examples: []
       });
     }
     // If value is an object/array, recurse deeper
     else if (typeof value === 'object' && value !== null) {
-      extractedRules.push(...extractRulesRecursively(value, parentCategory, parentId, currentPath));
+      extractedRules.push(...extractRulesRecursively(value, parentCategory, parentId, currentPath, objectSeverity));
     } else if (typeof value === 'string') {
       // Extract string rules
       const ruleId = `${parentId}-${currentPath.join('-')}`;
@@ -400,7 +931,7 @@ function extractRulesRecursively(obj, parentCategory = '', parentId = '', path =
         key: key,
         description: value,
         value: value,
-        severity: 'medium',
+        severity: objectSeverity,
         ruleType: 'text_rule',
         examples: []
       });
@@ -414,7 +945,7 @@ function extractRulesRecursively(obj, parentCategory = '', parentId = '', path =
  * Enhanced rule extraction that handles any guideline structure
  */
 function extractComprehensiveRules(guidelines) {
-  console.log('📋 Processing guidelines:', guidelines.length, 'categories');
+  logger.info(`📋 Processing ${guidelines.length} guidelines`);
 
   const allRules = [];
 
@@ -431,6 +962,7 @@ function extractComprehensiveRules(guidelines) {
         try {
           rulesData = JSON.parse(rulesData);
         } catch (e) {
+          logger.warn(`⚠️ Guideline ${guidelineId} has malformed rules JSON, using it as a description: ${e.message}`);
           rulesData = { description: rulesData };
         }
       }
@@ -442,12 +974,15 @@ function extractComprehensiveRules(guidelines) {
         };
       }
 
+      const severity = toSeverity(rulesData.severity, toSeverity(guideline.severity));
+      const guidelineFields = { guidelineId, guidelineTitle: guideline.title || null };
+
       // Extract rules recursively from the rules structure
-      const extractedRules = extractRulesRecursively(rulesData, category, guidelineId);
+      const extractedRules = extractRulesRecursively(rulesData, category, guidelineId, [], severity);
 
       // Also process examples if they exist
       if (guideline.examples) {
-        const exampleRules = extractRulesRecursively(guideline.examples, category, `${guidelineId}-examples`, ['examples']);
+        const exampleRules = extractRulesRecursively(guideline.examples, category, `${guidelineId}-examples`, ['examples'], severity);
         extractedRules.push(...exampleRules);
       }
 
@@ -456,525 +991,2250 @@ function extractComprehensiveRules(guidelines) {
         id: `${guidelineId}-main`,
         category: category,
         description: guideline.title || 'General guideline',
-        severity: 'high',
+        severity,
         ruleType: 'category_rule',
         examples: [],
-        detailedRules: extractedRules
+        detailedRules: extractedRules,
+        ...guidelineFields
       });
 
       // Add all extracted sub-rules
-      allRules.push(...extractedRules);
+      allRules.push(...extractedRules.map(rule => ({ ...rule, ...guidelineFields })));
 
     } catch (error) {
-      console.error(`Error processing guideline ${guideline.id}:`, error);
+      logger.error(`Error processing guideline ${guideline.id}`, error);
       // Add fallback rule
       allRules.push({
         id: `${guideline.id}-fallback`,
         category: guideline.category || 'general',
         description: guideline.title || 'General compliance rule',
-        severity: 'medium',
+        severity: toSeverity(guideline.severity),
         ruleType: 'fallback_rule',
-        examples: []
+        examples: [],
+        guidelineId: guideline.id,
+        guidelineTitle: guideline.title || null
       });
     }
   });
 
-  console.log(`🔧 Extracted ${allRules.length} rules from ${guidelines.length} guidelines`);
+  logger.info(`🔧 Extracted ${allRules.length} rules from ${guidelines.length} guidelines`);
   return allRules;
 }
 
-function createDynamicSystemPrompt(guidelines, guidelinesHash) {
-  // Generate comprehensive rules first to access contextual information
-  const allRules = extractComprehensiveRules(guidelines);
-
-  const categorizedGuidelines = {};
-  guidelines.forEach(guideline => {
-    const category = guideline.category || 'general';
-    if (!categorizedGuidelines[category]) {
-      categorizedGuidelines[category] = [];
+/**
+ * Index extracted rules so model findings can be tied back to them. Every rule
+ * gets a short reference ("R3") the prompt uses instead of the long rule ID;
+ * references follow extraction order, so they are stable per guidelines version.
+ */
+function createRuleIndex(guidelines, allRules = extractComprehensiveRules(guidelines)) {
+  const byId = new Map();
+  const byRef = new Map();
+  const mainByCategory = new Map();
+
+  allRules.forEach((rule, index) => {
+    const entry = { ...rule, ref: `R${index + 1}` };
+    byId.set(rule.id, entry);
+    byRef.set(entry.ref, entry);
+    const categoryKey = rule.category.trim().toLowerCase();
+    if (rule.ruleType === 'category_rule' && !mainByCategory.has(categoryKey)) {
+      mainByCategory.set(categoryKey, entry);
     }
-    categorizedGuidelines[category].push(guideline);
   });
 
-  let rulesSection = '\n\nGUIDELINES TO ENFORCE:\n';
-
-  Object.entries(categorizedGuidelines).forEach(([category, categoryGuidelines]) => {
-    rulesSection += `\n## ${category.toUpperCase()}:\n`;
+  return { rules: allRules, byId, byRef, mainByCategory };
+}
 
-    categoryGuidelines.forEach((guideline, index) => {
-      rulesSection += `\n${index + 1}. ${guideline.title}:\n`;
+/**
+ * The rule a model finding refers to: its rule reference, else a rule ID it
+ * echoed, else the first guideline of its category. Returns the fields every
+ * violation carries; findings that match no guideline get a null `ruleId`.
+ */
+function resolveViolationRule(violation, ruleIndex) {
+  const category = violation.ruleCategory || 'General';
+  const rule = ruleIndex.byRef.get(String(violation.ruleRef || '').trim().toUpperCase()) ||
+    ruleIndex.byId.get(violation.ruleId) ||
+    ruleIndex.mainByCategory.get(category.trim().toLowerCase());
+
+  if (!rule) {
+    return { ruleId: null, ruleCategory: category, severity: DEFAULT_SEVERITY, guidelineTitle: null };
+  }
+  return { ruleId: rule.id, ruleCategory: rule.category, severity: rule.severity, guidelineTitle: rule.guidelineTitle };
+}
 
-      const rulesData = typeof guideline.rules === 'string'
-        ? (() => { try { return JSON.parse(guideline.rules); } catch { return {}; } })()
-        : guideline.rules || {};
+// --- PROMPT RULE SELECTION ---
+// The prompt plan renders every guideline's section once per guidelines
+// version; each batch then takes the sections that can apply to its layers.
 
-      // Extract and inject detection patterns if present
-      if (rulesData.detect_patterns && Array.isArray(rulesData.detect_patterns)) {
-        rulesSection += `   🔍 DETECT: ${rulesData.detect_patterns.join(' | ')}\n`;
-      }
+// Optional cap on the tokens of guideline sections per prompt; the most
+// relevant sections are kept. Unset means every in-scope guideline is sent:
+// lexical overlap undersells tone and grammar guidelines on short UI strings.
+const PROMPT_RULES_TOKEN_BUDGET = process.env.PROMPT_RULES_TOKEN_BUDGET
+  ? parseInt(process.env.PROMPT_RULES_TOKEN_BUDGET, 10)
+  : Infinity;
+const MAX_MEMOISED_PROMPTS = 50;
+const promptPlanCache = new Map();
 
-      // Extract exclude patterns
-      if (rulesData.exclude_patterns && Array.isArray(rulesData.exclude_patterns)) {
-        rulesSection += `   🚫 EXCLUDE: ${rulesData.exclude_patterns.join(' | ')}\n`;
-      }
+/**
+ * Render one guideline as prompt lines. Contextual rules with
+ * `required_triggers` are separate items so a batch without any trigger word
+ * can leave them out. Detect patterns scope only the lines that describe them
+ * (`title`/`description` in the rules); the guideline's other rules always apply.
+ */
+function createGuidelineSection(guideline, ruleIndex) {
+  const guidelineId = guideline.id || 'unknown';
+  const refTag = ruleId => (ruleIndex.byId.has(ruleId) ? `[${ruleIndex.byId.get(ruleId).ref}] ` : '');
+  const rulesData = parseGuidelineRules(guideline);
+  const items = [];
+
+  // Detect/exclude patterns are evaluated by the local rule engine; only
+  // exclusions for pattern-less guidelines still need the model's judgement
+  const detectPatterns = Array.isArray(rulesData.detect_patterns) ? rulesData.detect_patterns : [];
+  const excludePatterns = Array.isArray(rulesData.exclude_patterns) ? rulesData.exclude_patterns : [];
+  if (detectPatterns.length === 0 && excludePatterns.length > 0) {
+    items.push({ lines: [`   🚫 EXCLUDE: ${excludePatterns.join(' | ')}`] });
+  }
 
-      // Use contextual rules with enforcement_context (prioritize these)
-      const contextualRules = allRules.filter(rule =>
-        rule.category === category &&
-        rule.ruleType === 'contextual_rule' &&
-        rule.enforcement_context
-      );
+  // Use contextual rules with enforcement_context (prioritize these)
+  const contextualRules = ruleIndex.rules.filter(rule =>
+    rule.guidelineId === guidelineId &&
+    rule.ruleType === 'contextual_rule' &&
+    rule.enforcement_context
+  );
 
-      contextualRules.forEach(rule => {
-        const context = rule.enforcement_context;
-        rulesSection += `   • ${rule.key}: ${rule.description}\n`;
+  contextualRules.forEach(rule => {
+    const context = rule.enforcement_context;
+    const lines = [`   • ${refTag(rule.id)}${rule.key}: ${rule.description}`];
 
-        // Add specific contextual guidance
-        if (context.ideal) {
-          rulesSection += `     → PREFER: "${context.ideal}" when space allows\n`;
-        }
-        if (context.abbreviation) {
-          rulesSection += `     → ABBREVIATE: "${context.abbreviation}" only when space is constrained\n`;
-        }
-        if (context.avoid) {
-          rulesSection += `     → AVOID: ${context.avoid}\n`;
-        }
-        if (context.required_triggers && context.required_triggers.length > 0) {
-          rulesSection += `     → ONLY WHEN: ${context.required_triggers.join(' OR ')}\n`;
-        }
-        if (context.exclude_patterns && context.exclude_patterns.length > 0) {
-          rulesSection += `     → EXCEPT: ${context.exclude_patterns.join(' | ')}\n`;
-        }
-        if (context.when_space_constrained !== undefined) {
-          rulesSection += context.when_space_constrained ?
-            `     → Use abbreviated forms when space is constrained\n` :
-            `     → Full forms preferred regardless of space constraints\n`;
-        }
-      });
+    // Add specific contextual guidance
+    if (context.ideal) {
+      lines.push(`     → PREFER: "${context.ideal}" when space allows`);
+    }
+    if (context.abbreviation) {
+      lines.push(`     → ABBREVIATE: "${context.abbreviation}" only when space is constrained`);
+    }
+    if (context.avoid) {
+      lines.push(`     → AVOID: ${context.avoid}`);
+    }
+    if (context.required_triggers && context.required_triggers.length > 0) {
+      lines.push(`     → ONLY WHEN: ${context.required_triggers.join(' OR ')}`);
+    }
+    if (context.exclude_patterns && context.exclude_patterns.length > 0) {
+      lines.push(`     → EXCEPT: ${context.exclude_patterns.join(' | ')}`);
+    }
+    if (context.when_space_constrained !== undefined) {
+      lines.push(context.when_space_constrained ?
+        `     → Use abbreviated forms when space is constrained` :
+        `     → Full forms preferred regardless of space constraints`);
+    }
 
-      // Fallback to legacy flat rules for non-contextual entries
-      Object.entries(rulesData).forEach(([key, value]) => {
-        // Skip if we already processed this as a contextual rule
-        if (contextualRules.some(r => r.key === key)) return;
-
-        if (key === 'date_format' && typeof value === 'string') {
-          rulesSection += `   • ${key}: ${value}\n`;
-          rulesSection += `     DD/MM/YYYY for compact display. "15 October, 2023" is VALID when space permits. Only flag: MM/DD/YYYY, ordinals (15th), or YYYY/MM/DD.\n`;
-        } else if (key === 'time_format' && typeof value === 'string') {
-          rulesSection += `   • ${key}: ${value}\n`;
-          rulesSection += `     "11:00 am to 12:00 pm" is VALID. Avoid unnecessary complexity.\n`;
-        } else if (typeof value === 'string') {
-          rulesSection += `   • ${key}: ${value}\n`;
-        } else if (typeof value === 'object' && Array.isArray(value)) {
-          rulesSection += `   • ${key}: ${value.join(', ')}\n`;
-        }
-      });
+    // Whole words, so a trigger like "EMI" does not fire on "premium"
+    const triggers = Array.isArray(context.required_triggers) && context.required_triggers.length > 0
+      ? context.required_triggers.map(trigger => createTermRegex(String(trigger).trim(), 'i'))
+      : null;
+    items.push({ lines, triggers });
+  });
 
-      // Add examples
-      if (guideline.examples) {
-        const { correct = [], incorrect = [] } = guideline.examples;
-        if (correct.length > 0) {
-          rulesSection += `   ✅ ${correct.slice(0, 2).join(' | ')}\n`;
-        }
-        if (incorrect.length > 0) {
-          rulesSection += `   ❌ ${incorrect.slice(0, 2).join(' | ')}\n`;
-        }
-      }
-    });
+  // Fallback to legacy flat rules for non-contextual entries
+  Object.entries(rulesData).forEach(([key, value]) => {
+    // Skip if we already processed this as a contextual rule
+    if (contextualRules.some(r => r.key === key)) return;
+    if (PATTERN_KEYS.includes(key) || key === 'severity') return;
+
+    const patternScoped = detectPatterns.length > 0 && PATTERN_METADATA_KEYS.includes(key);
+    if (typeof value === 'string') {
+      items.push({ lines: [`   • ${refTag(`${guidelineId}-${key}`)}${key}: ${value}`], patternScoped });
+    } else if (typeof value === 'object' && Array.isArray(value)) {
+      items.push({ lines: [`   • ${key}: ${value.join(', ')}`], patternScoped });
+    }
   });
 
-  return `You are a PRECISE compliance analyzer for Indian UI content. Version: ${guidelinesHash}
+  // Add examples
+  if (guideline.examples) {
+    const { correct = [], incorrect = [] } = guideline.examples;
+    const lines = [
+      ...(correct.length > 0 ? [`   ✅ ${correct.slice(0, 2).join(' | ')}`] : []),
+      ...(incorrect.length > 0 ? [`   ❌ ${incorrect.slice(0, 2).join(' | ')}`] : [])
+    ];
+    if (lines.length > 0) items.push({ lines, example: true });
+  }
 
-CRITICAL CONTEXT:
-- Client already fixed mechanical issues (currency symbols, basic commas, obvious errors)
-- Focus on SEMANTIC, CONTEXTUAL, and TONE violations that regex cannot catch
-- Be confident: Only flag clear violations with ≥85% certainty
-- RESPECT SPACE CONSTRAINTS: Use abbreviations only when necessary, prefer full forms when space allows
+  return {
+    guidelineId,
+    category: guideline.category || 'general',
+    header: `${refTag(`${guidelineId}-main`)}${guideline.title}:`,
+    items,
+    detect: detectPatterns.map((pattern, index) => compilePattern(pattern, `${guidelineId}-detect_patterns-${index}`)).filter(Boolean),
+    exclude: excludePatterns.map((pattern, index) => compilePattern(pattern, `${guidelineId}-exclude_patterns-${index}`)).filter(Boolean),
+    terms: extractTerms([
+      guideline.category,
+      guideline.title,
+      guideline.description,
+      ...collectRuleTexts(rulesData),
+      ...collectRuleTexts(guideline.examples)
+    ].join(' '))
+  };
+}
 
-${rulesSection}
+// The wording of rules and examples, without key names or regex sources
+function collectRuleTexts(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(collectRuleTexts);
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value)
+    .filter(([key]) => !PATTERN_KEYS.includes(key) && key !== 'severity')
+    .flatMap(([, item]) => collectRuleTexts(item));
+}
 
-ANALYSIS METHOD:
-1. Check tone appropriateness (error/success/info context)
-2. Validate complex number formatting (Lakh/Crore usage)
-3. Detect passive voice patterns
-4. Check UK vs US spelling variants
-5. Verify punctuation context (heading vs body)
-6. Assess politeness overuse (multiple please/sorry)
-7. Honor contextual constraints (space, formality, brevity)
+/**
+ * The prompt plan for a guidelines version: rendered sections plus memoised
+ * prompts per selection, so rules are extracted and rendered once per hash.
+ */
+function getPromptPlan(guidelines, guidelinesHash, ruleIndex = null) {
+  let plan = promptPlanCache.get(guidelinesHash);
+  if (plan) return plan;
+
+  const index = ruleIndex || createRuleIndex(guidelines);
+  plan = {
+    ruleIndex: index,
+    sections: guidelines.map(guideline => createGuidelineSection(guideline, index)),
+    prompts: new Map()
+  };
+  promptPlanCache.set(guidelinesHash, plan);
+  if (promptPlanCache.size > MAX_PROCESSED_GUIDELINE_VERSIONS) {
+    promptPlanCache.delete(promptPlanCache.keys().next().value);
+  }
+  return plan;
+}
 
-RESPONSE FORMAT - STRICT JSON:
-[{
-  "id": "layer_id",
-  "hasViolations": true/false,
+// Whether a section's detect patterns match any text outside its exclusions
+// (true for sections without patterns)
+function sectionPatternsMatch(section, texts) {
+  if (section.detect.length === 0) return true;
+  return texts.some(text => {
+    const excludedSpans = section.exclude.flatMap(regex => findPatternMatches(text, regex));
+    return section.detect.some(regex => findPatternMatches(text, regex)
+      .some(match => !excludedSpans.some(span => match.start < span.end && span.start < match.end)));
+  });
+}
+
+/**
+ * Sections for one batch: pattern-scoped lines whose detect patterns match no
+ * layer and contextual rules whose trigger words appear in no layer are
+ * dropped, as are sections left without any rule. The rest are ranked by
+ * lexical similarity to the layer texts and roles and kept within the budget.
+ */
+function selectPromptSections(plan, textLayers, budgetTokens = PROMPT_RULES_TOKEN_BUDGET) {
+  const texts = textLayers.map(layer => layer.text || '');
+  const batchTerms = extractTerms([...texts, ...textLayers.map(layer => layer.context?.role || '')].join(' '));
+
+  const candidates = [];
+  let outOfScope = 0;
+  plan.sections.forEach((section, sectionIndex) => {
+    const patternsMatch = sectionPatternsMatch(section, texts);
+    const itemIndexes = section.items.flatMap(({ triggers, patternScoped }, itemIndex) =>
+      ((patternsMatch || !patternScoped) && (!triggers || triggers.some(trigger => texts.some(text => trigger.test(text))))
+        ? [itemIndex]
+        : []));
+    if (!patternsMatch && !itemIndexes.some(itemIndex => !section.items[itemIndex].example)) {
+      outOfScope++;
+      return;
+    }
+    const lines = [section.header, ...itemIndexes.flatMap(itemIndex => section.items[itemIndex].lines)];
+    candidates.push({
+      section,
+      key: `${sectionIndex}:${itemIndexes.join('.')}`,
+      lines,
+      score: termSimilarity(batchTerms, section.terms),
+      tokens: Math.ceil(lines.join('\n').length / CHARS_PER_TOKEN)
+    });
+  });
+
+  const { selected, overBudget } = selectWithinBudget(candidates, budgetTokens);
+  if (outOfScope > 0) promptGuidelinesOmittedTotal.inc({ reason: 'out_of_scope' }, outOfScope);
+  if (overBudget.length > 0) {
+    promptGuidelinesOmittedTotal.inc({ reason: 'budget' }, overBudget.length);
+    logger.warn(`✂️ Prompt budget ${budgetTokens} tokens: left out ${overBudget.map(c => c.section.guidelineId).join(', ')}`);
+  }
+  logger.info(`🎯 Prompt rules: ${selected.length}/${plan.sections.length} guidelines, ~${selected.reduce((sum, c) => sum + c.tokens, 0)} tokens`);
+  return selected;
+}
+
+/**
+ * System prompt for one batch. Without `textLayers` every guideline is listed.
+ * Prompts are memoised per guidelines version and selection.
+ */
+function createDynamicSystemPrompt(guidelines, guidelinesHash, { contentContext = DEFAULT_CONTENT_CONTEXT, acceptedForms = [], hasProtectedTerms = false, ruleIndex = null, textLayers = null, rulesBudgetTokens = PROMPT_RULES_TOKEN_BUDGET } = {}) {
+  const plan = getPromptPlan(guidelines, guidelinesHash, ruleIndex);
+  const selected = textLayers
+    ? selectPromptSections(plan, textLayers, rulesBudgetTokens)
+    : plan.sections.map((section, index) => ({
+      section,
+      key: `${index}:*`,
+      lines: [section.header, ...section.items.flatMap(item => item.lines)]
+    }));
+
+  const promptKey = JSON.stringify([selected.map(c => c.key), contentContext, acceptedForms, hasProtectedTerms]);
+  const memoised = plan.prompts.get(promptKey);
+  if (memoised) return memoised;
+
+  const categorizedSections = {};
+  selected.forEach(candidate => {
+    const { category } = candidate.section;
+    if (!categorizedSections[category]) {
+      categorizedSections[category] = [];
+    }
+    categorizedSections[category].push(candidate);
+  });
+
+  let rulesSection = '\n\nGUIDELINES TO ENFORCE:\n';
+
+  Object.entries(categorizedSections).forEach(([category, candidates]) => {
+    rulesSection += `\n## ${category.toUpperCase()}:\n`;
+    candidates.forEach(({ lines: [header, ...lines] }, index) => {
+      rulesSection += `\n${index + 1}. ${header}\n`;
+      lines.forEach(line => {
+        rulesSection += `${line}\n`;
+      });
+    });
+  });
+
+  const prompt = `You are a PRECISE compliance analyzer for ${contentContext}. Version: ${guidelinesHash}
+
+CRITICAL CONTEXT:
+- Client already fixed mechanical issues (currency symbols, basic commas, obvious errors)
+- Focus on SEMANTIC, CONTEXTUAL, and TONE violations that regex cannot catch
+- Be precise: flag clear violations, and give each an honest confidence
+- RESPECT SPACE CONSTRAINTS: Use abbreviations only when necessary, prefer full forms when space allows
+- LAYER CONTEXT: A layer may carry "context": "role" is the UI element (button, heading, toast, error_message, ...), "maxChars" is a hard limit for correctedText, and "spaceConstrained" says whether abbreviations are justified. Without context, assume space allows full forms
+
+${rulesSection}
+
+ANALYSIS METHOD:
+1. Check tone appropriateness (error/success/info context)
+2. Validate complex number formatting (Lakh/Crore usage)
+3. Detect passive voice patterns
+4. Check UK vs US spelling variants
+5. Verify punctuation context (heading vs body)
+6. Assess politeness overuse (multiple please/sorry)
+7. Honor contextual constraints (space, formality, brevity)
+
+RESPONSE FORMAT - STRICT JSON:
+[{
+  "id": "layer_id",
+  "hasViolations": true/false,
   "violations": [{
     "original": "exact text",
     "suggested": "corrected text",
-    "confidence": 0.85-0.99,
+    "start": 0,
+    "end": 10,
+    "confidence": 0.0-1.0,
+    "ruleRef": "R1",
     "ruleCategory": "tone/localisation/grammar/etc",
     "ruleDescription": "specific rule violated"
   }],
   "correctedText": "full corrected version",
-  "confidence": 0.85-0.99
+  "confidence": 0.0-1.0
 }]
 
 IMPORTANT:
 - RESPECT CONTEXT: If space allows, use preferred full forms over abbreviations
-- ALLOW VALID VARIATIONS: "15 October, 2023" and "11:00 am to 12:00 pm" are both acceptable
-- SINGLE "PLEASE" IS OK: Allow one instance of politeness without over-flagging
-- If client already fixed it, do not re-flag
-- Only suggest changes you are confident about (≥85%)
+${acceptedForms.map(form => `- ACCEPTED, DO NOT FLAG: ${form}\n`).join('')}${hasProtectedTerms ? `- ${PROTECTED_TERM_PLACEHOLDER.replace('#', '1')}, ${PROTECTED_TERM_PLACEHOLDER.replace('#', '2')}, ... are protected brand names: never flag, change or remove them\n` : ''}- If client already fixed it, do not re-flag
+- "confidence" is the probability that the violation is real: report a finding you are unsure about with a low confidence rather than leaving it out or rounding it up
+- "ruleRef" is the [R#] reference of the most specific guideline rule violated
+- "start"/"end" are 0-based character offsets of "original" in the layer text (end is exclusive)
+- Report every wrong occurrence as its own violation; never assume a fix applies to all occurrences
 - correctedText must apply ALL fixes from violations array`;
+
+  plan.prompts.set(promptKey, prompt);
+  if (plan.prompts.size > MAX_MEMOISED_PROMPTS) {
+    plan.prompts.delete(plan.prompts.keys().next().value);
+  }
+  return prompt;
+}
+
+// --- LOCAL RULE ENGINE ---
+
+// Keys in a guideline's rules that the engine evaluates itself. They are never
+// sent to the model as prose.
+const PATTERN_KEYS = ['detect_patterns', 'exclude_patterns'];
+const PATTERN_METADATA_KEYS = ['title', 'description', ...PATTERN_KEYS];
+
+function parseGuidelineRules(guideline) {
+  if (typeof guideline.rules === 'string') {
+    try {
+      return JSON.parse(guideline.rules) || {};
+    } catch {
+      return {};
+    }
+  }
+  return guideline.rules || {};
+}
+
+/**
+ * Compile a guideline pattern into a global RegExp. Patterns are either a
+ * regex source string or an object `{ pattern, flags, replacement, description }`.
+ * Sources that are not valid regexes are matched literally; the guideline
+ * validator reports them as schema issues (see findGuidelineSchemaIssues).
+ */
+function compilePattern(pattern, ruleId) {
+  const source = typeof pattern === 'string' ? pattern : pattern?.pattern;
+  if (!source || typeof source !== 'string') return null;
+
+  const flags = (typeof pattern === 'object' && pattern.flags) || 'i';
+  try {
+    return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+  } catch (err) {
+    logger.warn(`⚠️ Invalid pattern in ${ruleId}, matching literally: ${source}`, { error: err.message });
+    return new RegExp(escapeRegExp(source), 'gi');
+  }
+}
+
+function findPatternMatches(text, regex) {
+  const matches = [];
+  regex.lastIndex = 0;
+  for (const match of text.matchAll(regex)) {
+    if (!match[0]) continue;
+    matches.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return matches;
+}
+
+/**
+ * Compile every active guideline into matchers. Patterns with a `replacement`
+ * are fully mechanical and produce violations locally; a layer matching any
+ * other (non-excluded) detect pattern needs the model for the rules that
+ * describe it. The guideline's remaining rules are semantic and apply to every
+ * layer, whether or not a pattern matched.
+ */
+function compileRuleEngine(guidelines, glossary = null) {
+  const compiled = guidelines.map(guideline => {
+    const guidelineId = guideline.id || 'unknown';
+    const category = guideline.category || 'general';
+    const rulesData = parseGuidelineRules(guideline);
+
+    const detectPatterns = Array.isArray(rulesData.detect_patterns) ? rulesData.detect_patterns : [];
+    const excludePatterns = Array.isArray(rulesData.exclude_patterns) ? rulesData.exclude_patterns : [];
+    const severity = toSeverity(rulesData.severity, toSeverity(guideline.severity));
+
+    const detect = detectPatterns.map((pattern, index) => {
+      const ruleId = `${guidelineId}-detect_patterns-${index}`;
+      const regex = compilePattern(pattern, ruleId);
+      if (!regex) return null;
+
+      const replacement = typeof pattern === 'object' ? (pattern.replacement ?? pattern.suggested) : undefined;
+      return {
+        ruleId,
+        regex,
+        replacement: typeof replacement === 'string' ? replacement : undefined,
+        severity: toSeverity(pattern?.severity, severity),
+        description: (typeof pattern === 'object' && pattern.description) ||
+          (typeof rulesData.description === 'string' && rulesData.description) ||
+          guideline.title || `${category} pattern`
+      };
+    }).filter(Boolean);
+
+    const exclude = excludePatterns
+      .map((pattern, index) => compilePattern(pattern, `${guidelineId}-exclude_patterns-${index}`))
+      .filter(Boolean);
+
+    // Everything except the pattern metadata is left for the model
+    const remainingRules = Object.fromEntries(
+      Object.entries(rulesData).filter(([key]) =>
+        !(detect.length > 0 ? PATTERN_METADATA_KEYS : PATTERN_KEYS).includes(key)
+      )
+    );
+    const semanticRules = extractRulesRecursively(remainingRules, category, guidelineId, [], severity).map(rule => ({
+      id: rule.id,
+      excludes: Array.isArray(rule.enforcement_context?.exclude_patterns)
+        ? rule.enforcement_context.exclude_patterns
+          .map((pattern, index) => compilePattern(pattern, `${rule.id}-exclude_patterns-${index}`))
+          .filter(Boolean)
+        : []
+    }));
+
+    // A guideline with no patterns and no parseable rules still has a title and
+    // description the model must see
+    const alwaysSemantic = detect.length === 0 && semanticRules.length === 0;
+
+    return { guidelineId, category, title: guideline.title, detect, exclude, semanticRules, alwaysSemantic };
+  });
+
+  // Forbidden glossary variants are mechanical patterns like any other
+  if (glossary?.detect.length > 0) {
+    compiled.push({
+      guidelineId: 'glossary',
+      category: GLOSSARY_CATEGORY,
+      title: 'Glossary',
+      detect: glossary.detect,
+      exclude: [],
+      semanticRules: [],
+      alwaysSemantic: false
+    });
+  }
+
+  const patternCount = compiled.reduce((sum, g) => sum + g.detect.length, 0);
+  logger.info(`⚙️ Rule engine compiled: ${patternCount} detect patterns across ${compiled.length} guidelines`);
+  return compiled;
+}
+
+/**
+ * Evaluate one layer against the compiled engine.
+ * Returns local violations and whether any semantic rule still applies.
+ */
+function evaluateLayerWithRuleEngine(text, engine) {
+  const violations = [];
+  let needsModel = false;
+
+  engine.forEach(guideline => {
+    // Detect patterns decide only their own findings; the guideline's
+    // semantic rules below apply whether or not a pattern matched
+    if (guideline.detect.length > 0) {
+      const excludedSpans = guideline.exclude.flatMap(regex => findPatternMatches(text, regex));
+
+      guideline.detect.forEach(detect => {
+        findPatternMatches(text, detect.regex)
+          .filter(match => !excludedSpans.some(span => match.start < span.end && span.start < match.end))
+          .forEach(match => {
+            if (detect.replacement === undefined) {
+              needsModel = true;
+              return;
+            }
+
+            const suggested = match.text.replace(
+              new RegExp(detect.regex.source, detect.regex.flags.replace('g', '')),
+              detect.replacement
+            );
+            if (suggested === match.text) return;
+
+            violations.push({
+              original: match.text,
+              suggested,
+              start: match.start,
+              end: match.end,
+              confidence: 1.0,
+              ruleCategory: guideline.category,
+              ruleDescription: detect.description,
+              ruleId: detect.ruleId,
+              severity: detect.severity,
+              guidelineTitle: guideline.title || null,
+              source: 'rule_engine'
+            });
+          });
+      });
+    }
+
+    if (needsModel) return;
+
+    if (guideline.alwaysSemantic) {
+      needsModel = true;
+      return;
+    }
+
+    // Semantic rules apply unless their own exclude patterns exempt this text
+    needsModel = guideline.semanticRules.some(rule =>
+      !rule.excludes.some(regex => findPatternMatches(text, regex).length > 0)
+    );
+  });
+
+  return { violations, needsModel };
+}
+
+/**
+ * Split layers into those fully resolved by the rule engine and those that still
+ * need a model call. Local violations for model-bound layers are returned so they
+ * can be merged into the model's results.
+ */
+function applyRuleEngine(textLayers, engine, guidelinesHash) {
+  const localResults = [];
+  const modelLayers = [];
+  const localViolationsByLayer = new Map();
+
+  textLayers.forEach(layer => {
+    const evaluation = evaluateLayerWithRuleEngine(layer.text, engine);
+    const violations = applyLayerContextToViolations(
+      layer.text,
+      resolveViolationSpans(layer.text, evaluation.violations),
+      layer.context
+    );
+    const { needsModel } = evaluation;
+
+    if (needsModel) {
+      modelLayers.push(layer);
+      if (violations.length > 0) {
+        localViolationsByLayer.set(layer.id, violations);
+      }
+      return;
+    }
+
+    localResults.push({
+      id: layer.id,
+      hasViolations: violations.length > 0,
+      violations,
+      correctedText: buildCorrectedText(layer.text, violations),
+      originalText: layer.text,
+      confidence: 1.0,
+      guidelinesVersion: guidelinesHash,
+      layerContext: layer.context || null,
+      model: 'rule-engine',
+      resolvedLocally: true
+    });
+  });
+
+  logger.info(`⚙️ Rule engine: ${localResults.length} layers resolved locally, ${modelLayers.length} need model analysis`);
+  return { localResults, modelLayers, localViolationsByLayer };
+}
+
+// Merge rule-engine violations into a model result; local matches win over
+// model findings on overlapping spans
+function mergeLocalViolations(result, localViolations = []) {
+  if (localViolations.length === 0) return result;
+
+  const overlapsLocal = v => localViolations.some(local => v.start < local.end && local.start < v.end);
+  const violations = [
+    ...localViolations,
+    ...result.violations.filter(v => !overlapsLocal(v))
+  ].sort((a, b) => a.start - b.start);
+
+  return {
+    ...result,
+    hasViolations: true,
+    violations,
+    correctedText: buildCorrectedText(result.originalText, violations)
+  };
+}
+
+// --- Glossary ---
+
+const GLOSSARY_CATEGORY = 'Glossary';
+const PROTECTED_TERM_PLACEHOLDER = '[[P#]]';
+
+// Word boundaries that also hold for non-ASCII letters and digits
+function createTermRegex(term, flags) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, `${flags}u`);
+}
+
+/**
+ * Compile glossary rows. Forbidden variants (and wrongly cased protected terms)
+ * become rule engine patterns whose replacement is the preferred term.
+ * Protected terms are masked before the prompt and any violation touching
+ * them is dropped.
+ */
+function compileGlossary(rows = []) {
+  const detect = [];
+  const protectedTerms = [];
+
+  rows.forEach(row => {
+    const term = typeof row.term === 'string' ? row.term.trim() : '';
+    if (!term) return;
+
+    const variants = Array.isArray(row.variants) ? row.variants.filter(v => typeof v === 'string' && v.trim()) : [];
+    if (row.protected) {
+      protectedTerms.push({ term, regex: createTermRegex(term, 'g') });
+      // Any other casing of a protected term is a forbidden variant too
+      if (!variants.some(v => v.trim().toLowerCase() === term.toLowerCase())) variants.push(term);
+    }
+
+    variants.forEach((variant, index) => {
+      detect.push({
+        ruleId: `glossary-${row.id || term}-${index}`,
+        regex: createTermRegex(variant.trim(), 'gi'),
+        replacement: term.replace(/\$/g, '$$$$'),
+        severity: DEFAULT_SEVERITY,
+        description: row.description || `Use "${term}"`
+      });
+    });
+  });
+
+  // Longest first, so "Pay Later Plus" is masked before "Pay Later"
+  protectedTerms.sort((a, b) => b.term.length - a.term.length);
+
+  logger.info(`📖 Glossary compiled: ${detect.length} variant patterns, ${protectedTerms.length} protected terms`);
+  return { detect, protectedTerms };
+}
+
+function findProtectedSpans(text, glossary) {
+  return (glossary?.protectedTerms || []).flatMap(({ regex }) => findPatternMatches(text, regex));
+}
+
+function maskProtectedTerms(text, glossary) {
+  return (glossary?.protectedTerms || []).reduce((masked, { regex }, index) => {
+    regex.lastIndex = 0;
+    return masked.replace(regex, PROTECTED_TERM_PLACEHOLDER.replace('#', index + 1));
+  }, text);
+}
+
+function unmaskProtectedTerms(text, glossary) {
+  if (typeof text !== 'string' || !glossary?.protectedTerms.length) return text;
+  return text.replace(/\[\[P(\d+)\]\]/g, (placeholder, number) =>
+    glossary.protectedTerms[number - 1]?.term ?? placeholder
+  );
+}
+
+function dropProtectedTermViolations(result, glossary) {
+  if (!glossary?.protectedTerms.length || !result.violations?.length) return result;
+
+  const spans = findProtectedSpans(result.originalText, glossary);
+  if (spans.length === 0) return result;
+
+  const violations = result.violations.filter(v => !spans.some(span => v.start < span.end && span.start < v.end));
+  if (violations.length === result.violations.length) return result;
+
+  logger.debug(`🛡️ Dropped ${result.violations.length - violations.length} violation(s) touching protected terms in "${result.originalText}"`);
+  return {
+    ...result,
+    hasViolations: violations.length > 0,
+    violations,
+    correctedText: buildCorrectedText(result.originalText, violations)
+  };
+}
+
+// --- Token usage and cost ---
+// Token estimate for responses that come without usage metadata
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Usage accumulator for one request, job chunk or report. Totals and the
+ * per-model breakdown are kept in step by addModelUsage.
+ */
+function createUsage() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCostUsd: 0, byModel: {} };
+}
+
+function roundCost(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+function addModelUsage(usage, modelKey, { calls = 1, promptTokens = 0, completionTokens = 0, estimatedCalls = 0, estimatedCostUsd = 0, unpriced = false }) {
+  const entry = usage.byModel[modelKey] || (usage.byModel[modelKey] = {
+    calls: 0, promptTokens: 0, completionTokens: 0, estimatedCalls: 0, estimatedCostUsd: 0, unpriced: false
+  });
+
+  entry.calls += calls;
+  entry.promptTokens += promptTokens;
+  entry.completionTokens += completionTokens;
+  entry.estimatedCalls += estimatedCalls;
+  entry.estimatedCostUsd = roundCost(entry.estimatedCostUsd + estimatedCostUsd);
+  entry.unpriced = entry.unpriced || unpriced;
+
+  usage.calls += calls;
+  usage.promptTokens += promptTokens;
+  usage.completionTokens += completionTokens;
+  usage.totalTokens += promptTokens + completionTokens;
+  usage.estimatedCostUsd = roundCost(usage.estimatedCostUsd + estimatedCostUsd);
+  return usage;
+}
+
+/**
+ * Record one model call. `tokens.estimated` marks counts guessed from text
+ * length; models without a price are reported as `unpriced` and cost 0.
+ */
+function recordModelUsage(usage, modelKey, { promptTokens, completionTokens, estimated = false }) {
+  const pricing = MODEL_CONFIGS[modelKey]?.pricing;
+  const costUsd = pricing ? (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6 : 0;
+
+  modelTokensTotal.inc({ model: modelKey, type: 'prompt' }, promptTokens);
+  modelTokensTotal.inc({ model: modelKey, type: 'completion' }, completionTokens);
+  modelCostUsdTotal.inc({ model: modelKey }, costUsd);
+
+  return addModelUsage(usage, modelKey, {
+    promptTokens,
+    completionTokens,
+    estimatedCalls: estimated ? 1 : 0,
+    estimatedCostUsd: costUsd,
+    unpriced: !pricing
+  });
+}
+
+// Fold another usage summary (e.g. a job chunk's) into `usage`
+function mergeUsage(usage, other) {
+  Object.entries(other?.byModel || {}).forEach(([modelKey, entry]) => addModelUsage(usage, modelKey, entry));
+  return usage;
+}
+
+// --- Enhanced analysis with model router ---
+
+/**
+ * Send one analysis request and return the provider's response body. Mock
+ * providers answer in-process through `config.respond`; in record/replay mode
+ * responses are saved to or served from fixture files, so the pipeline can
+ * run without network access.
+ */
+async function requestModel(config, { systemPrompt, promptLayers, textLayers, attempt, signal }) {
+  if (config.provider === 'mock') {
+    return config.respond({ systemPrompt, promptLayers, textLayers, attempt, signal });
+  }
+
+  const fixtureRequest = { model: config.model, systemPrompt, promptLayers };
+
+  if (MODEL_PROVIDER_MODE === 'replay') {
+    const recorded = modelFixtures.read(fixtureRequest, attempt);
+    if (!recorded) {
+      const missingError = new Error(`No recorded ${config.name} response for this prompt and layer set (record with MODEL_PROVIDER_MODE=record)`);
+      missingError.reason = 'fixture_missing';
+      throw missingError;
+    }
+    logger.debug(`📼 Replaying ${config.name} response`, { file: recorded.file, attempt });
+    return toModelResponseBody(config, recorded);
+  }
+
+  const response = await sendModelRequest(config, { systemPrompt, promptLayers, signal });
+
+  if (MODEL_PROVIDER_MODE === 'record') {
+    const file = modelFixtures.write(fixtureRequest, attempt, response);
+    logger.debug(`📼 Recorded ${config.name} response`, { file, attempt });
+  }
+
+  return toModelResponseBody(config, response);
+}
+
+// Non-2xx responses become errors carrying the HTTP status, recorded or live
+function toModelResponseBody(config, { status, body }) {
+  if (status < 200 || status >= 300) {
+    const errorText = typeof body === 'string' ? body : JSON.stringify(body);
+    const httpError = new Error(`${config.name} ${status}: ${errorText.slice(0, 100)}`);
+    httpError.status = status;
+    throw httpError;
+  }
+  return body;
+}
+
+// Returns `{ status, body }`: parsed JSON on success, the raw text otherwise
+async function sendModelRequest(config, { systemPrompt, promptLayers, signal }) {
+  let response;
+
+  // Build request based on model type
+  if (config.provider === 'gemini') {
+    // Gemini format
+    response = await fetch(`${config.endpoint}?key=${process.env[config.envKey]}`, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{
+          parts: [{
+            text: `${systemPrompt}\n\nANALYZE THESE TEXT LAYERS AGAINST ALL GUIDELINES:\n\n${promptLayers}`
+          }]
+        }],
+        generationConfig: {
+          temperature: 0.05,
+          topK: 40,
+          topP: 0.9,
+          maxOutputTokens: 4096,
+          ...(config.structuredOutput && {
+            responseMimeType: 'application/json',
+            responseSchema: toGeminiSchema(LAYER_RESULTS_SCHEMA)
+          })
+        },
+        safetySettings: [
+          { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+          { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+          { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+          { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_MEDIUM_AND_ABOVE" }
+        ]
+      })
+    });
+  } else if (config.api === 'ollama') {
+    // Ollama native chat API; num_ctx must be set or Ollama truncates to its 2k-4k default
+    response = await fetch(config.endpoint, {
+      method: 'POST',
+      signal,
+      headers: {
+        ...(config.envKey && { 'Authorization': `Bearer ${process.env[config.envKey]}` }),
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: config.model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: `ANALYZE THESE TEXT LAYERS AGAINST ALL GUIDELINES:\n\n${promptLayers}` }
+        ],
+        stream: false,
+        format: config.structuredOutput ? LAYER_RESULTS_SCHEMA : 'json',
+        options: {
+          temperature: 0.05,
+          num_ctx: config.contextTokens,
+          num_predict: config.maxOutputTokens
+        }
+      })
+    });
+  } else {
+    // OpenAI-compatible format (OpenRouter: Nova, Qwen; self-hosted llama.cpp, vLLM, Ollama /v1)
+    response = await fetch(config.endpoint, {
+      method: 'POST',
+      signal,
+      headers: {
+        ...(config.envKey && { 'Authorization': `Bearer ${process.env[config.envKey]}` }),
+        'Content-Type': 'application/json',
+        // OpenRouter attribution; not sent to our own servers
+        ...(!config.local && {
+          'HTTP-Referer': process.env.VERCEL_URL || 'https://content-lint.vercel.app',
+          'X-Title': 'Axis Content Wand'
+        })
+      },
+      body: JSON.stringify({
+        model: config.model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: `ANALYZE THESE TEXT LAYERS AGAINST ALL GUIDELINES:\n\n${promptLayers}` }
+        ],
+        temperature: 0.05,
+        max_tokens: config.maxOutputTokens || 4096,
+        ...(config.structuredOutput && {
+          response_format: { type: 'json_schema', json_schema: { name: 'layer_results', schema: WRAPPED_RESULTS_SCHEMA } }
+        })
+      })
+    });
+  }
+
+  if (!response.ok) {
+    return { status: response.status, body: await response.text() };
+  }
+
+  return { status: response.status, body: await response.json() };
+}
+
+// Protected names never reach the model, so it cannot "fix" them
+function toPromptLayers(textLayers, glossary) {
+  return JSON.stringify(textLayers.map(layer => ({
+    ...toPromptLayer(layer),
+    text: maskProtectedTerms(layer.text, glossary)
+  })));
+}
+
+function toRawConfidence(value) {
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : UNKNOWN_CONFIDENCE;
+}
+
+// Re-requests for layers lost to a truncated response or left out of a
+// complete one, on top of the retries
+const MAX_TARGETED_REREQUESTS = 2;
+
+async function analyzeWithModel(textLayers, guidelines, guidelinesHash, selectedModel = 'gemini', timeout = 15000, options = {}) {
+  const config = MODEL_CONFIGS[selectedModel];
+  if (!config) {
+    throw new Error(`Unknown model: ${selectedModel}`);
+  }
+
+  const { ruleIndex } = getPromptPlan(guidelines, guidelinesHash, options.ruleIndex);
+  const systemPrompt = createDynamicSystemPrompt(guidelines, guidelinesHash, {
+    contentContext: options.guidelineSet?.content_context || DEFAULT_CONTENT_CONTEXT,
+    acceptedForms: (options.suppressionRules || []).map(rule => rule.description).filter(Boolean),
+    hasProtectedTerms: options.glossary?.protectedTerms.length > 0,
+    ruleIndex,
+    textLayers,
+    // Small context windows keep at least half the budget for the layers
+    rulesBudgetTokens: config.promptBudgetTokens
+      ? Math.min(PROMPT_RULES_TOKEN_BUDGET, Math.floor(config.promptBudgetTokens / 2))
+      : PROMPT_RULES_TOKEN_BUDGET
+  });
+  const fullPromptLayers = toPromptLayers(textLayers, options.glossary);
+
+  // Small self-hosted context windows: halve the batch until each prompt fits
+  if (config.promptBudgetTokens) {
+    const promptTokens = Math.ceil((systemPrompt.length + fullPromptLayers.length) / CHARS_PER_TOKEN);
+    if (promptTokens > config.promptBudgetTokens) {
+      // Splitting cannot help when the guidelines alone fill the window
+      if (textLayers.length === 1 || Math.ceil(systemPrompt.length / CHARS_PER_TOKEN) >= config.promptBudgetTokens) {
+        const budgetError = new Error(`Prompt needs ~${promptTokens} tokens, over the ${config.promptBudgetTokens}-token budget of ${config.name}`);
+        budgetError.reason = 'prompt_too_large';
+        throw budgetError;
+      }
+      const deadline = Date.now() + timeout;
+      const half = Math.ceil(textLayers.length / 2);
+      const halves = [textLayers.slice(0, half), textLayers.slice(half)];
+      logger.info(`✂️ ${config.name} prompt ~${promptTokens} tokens over budget ${config.promptBudgetTokens}, splitting ${textLayers.length} layers`);
+      const merged = { results: [], unknownLayerIds: [] };
+      for (const [index, part] of halves.entries()) {
+        try {
+          const partial = await analyzeWithModel(part, guidelines, guidelinesHash, selectedModel, deadline - Date.now(), { ...options, ruleIndex });
+          merged.results.push(...partial.results);
+          merged.unknownLayerIds.push(...partial.unknownLayerIds);
+        } catch (error) {
+          // The half that was never sent is pending too
+          error.salvagedResults = [...merged.results, ...(error.salvagedResults || [])];
+          error.pendingLayers = [...(error.pendingLayers || part), ...halves.slice(index + 1).flat()];
+          error.unknownLayerIds = [...merged.unknownLayerIds, ...(error.unknownLayerIds || [])];
+          throw error;
+        }
+      }
+      return merged;
+    }
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => {
+    logger.info(`⚠️ ${config.name} timeout after ${timeout}ms for ${textLayers.length} layers`);
+    controller.abort();
+  }, timeout);
+
+  const toLayerResult = (result) => {
+    const originalLayer = textLayers.find(l => l.id === result.id);
+    const originalText = originalLayer?.text || '';
+    const layerContext = originalLayer?.context || null;
+
+    const processedViolations = Array.isArray(result.violations) ? result.violations.map(v => ({
+      ...v,
+      original: unmaskProtectedTerms(v.original, options.glossary),
+      suggested: unmaskProtectedTerms(v.suggested, options.glossary)
+    })).filter(v =>
+      v.original && v.suggested &&
+      v.original.trim() !== v.suggested.trim() &&
+      originalText.includes(v.original)
+    ).map(v => ({
+      original: v.original.trim(),
+      suggested: v.suggested.trim(),
+      // Offsets from the model are only hints until resolveViolationSpans checks them
+      start: Number.isInteger(v.start) ? v.start : undefined,
+      end: Number.isInteger(v.end) ? v.end : undefined,
+      // The model's own figure is kept for calibrating from feedback
+      rawConfidence: toRawConfidence(v.confidence),
+      confidence: calibrateConfidence(toRawConfidence(v.confidence), selectedModel),
+      model: selectedModel,
+      ...resolveViolationRule(v, ruleIndex),
+      ruleDescription: v.ruleDescription || 'Guideline violation'
+    })) : [];
+
+    // Known false positives are dropped later by the suppression rules,
+    // which apply to every stage and model
+    const filteredViolations = applyLayerContextToViolations(
+      originalText,
+      resolveViolationSpans(originalText, processedViolations),
+      layerContext
+    );
+
+    // correctedText is rebuilt from the validated spans; the model's own
+    // version may contain edits no violation accounts for
+    const correctedText = buildCorrectedText(originalText, filteredViolations);
+
+    return {
+      id: result.id,
+      hasViolations: filteredViolations.length > 0,
+      violations: filteredViolations,
+      correctedText: correctedText,
+      originalText: originalText,
+      confidence: calibrateConfidence(toRawConfidence(result.confidence), selectedModel),
+      guidelinesVersion: guidelinesHash,
+      layerContext,
+      model: config.name // Track which model was used
+    };
+  };
+
+  // Layers still without a result. A truncated response keeps every complete
+  // layer object, and a response that leaves layers out keeps the ones it
+  // has; only the rest is asked for again. Results for IDs that were never
+  // sent are discarded.
+  const sentIds = new Set(textLayers.map(layer => layer.id));
+  const results = [];
+  const unknownLayerIds = [];
+  let pendingLayers = textLayers;
+  let retries = 2;
+  let rerequests = 0;
+  let attempt = 0;
+
+  try {
+    while (true) {
+      attempt++;
+      const attemptStartedAt = Date.now();
+      try {
+        logger.info(`🔍 ${config.name} analysis: ${pendingLayers.length} layers, attempt ${attempt}`);
+
+        // Protected names never reach the model, so it cannot "fix" them
+        const requestLayers = pendingLayers;
+        const promptLayers = pendingLayers === textLayers ? fullPromptLayers : toPromptLayers(pendingLayers, options.glossary);
+        const data = await requestModel(config, {
+          systemPrompt,
+          promptLayers,
+          textLayers: requestLayers,
+          attempt,
+          signal: controller.signal
+        });
+
+        // Parse response using model-specific parser
+        const content = config.parseResponse(data);
+
+        // Billed even if the content turns out to be unusable
+        if (options.usage) {
+          recordModelUsage(options.usage, selectedModel, config.parseUsage?.(data) || {
+            promptTokens: Math.ceil((systemPrompt.length + promptLayers.length) / CHARS_PER_TOKEN),
+            completionTokens: Math.ceil(content.length / CHARS_PER_TOKEN),
+            estimated: true
+          });
+        }
+
+        const { layers: parsedLayers, complete } = parseLayerResults(content);
+        const unknownIds = parsedLayers.filter(layer => !sentIds.has(layer.id)).map(layer => String(layer.id));
+        if (unknownIds.length > 0) {
+          unknownLayerIds.push(...unknownIds);
+          modelUnknownLayerIdsTotal.inc({ model: selectedModel }, unknownIds.length);
+          logger.warn(`👻 ${config.name} returned ${unknownIds.length} layer IDs it was not sent, discarding them`, {
+            model: selectedModel,
+            layerIds: unknownIds
+          });
+        }
+        const pendingIds = new Set(requestLayers.map(layer => layer.id));
+        const salvaged = parsedLayers.filter(layer => pendingIds.has(layer.id) && !results.some(r => r.id === layer.id));
+
+        if (salvaged.length === 0 && (!complete || parsedLayers.length === 0)) {
+          const parseError = new Error(content.trim()
+            ? `No complete layer results in ${config.name} response`
+            : `Empty ${config.name} response`);
+          parseError.reason = 'invalid_json';
+          throw parseError;
+        }
+
+        results.push(...salvaged.map(toLayerResult));
+        const durationMs = Date.now() - attemptStartedAt;
+        modelRequestDuration.observe({ model: selectedModel, outcome: 'success' }, durationMs / 1000);
+        modelLayersAnalyzedTotal.inc({ model: selectedModel }, salvaged.length);
+        pendingLayers = requestLayers.filter(layer => !results.some(r => r.id === layer.id));
+
+        if (pendingLayers.length === 0) {
+          logger.info(`✅ ${config.name} analysis complete: ${results.length} results, ${results.filter(r => r.hasViolations).length} with violations`, {
+            model: selectedModel,
+            layers: textLayers.length,
+            durationMs
+          });
+          return { results, unknownLayerIds };
+        }
+
+        // A well-formed response without some layers left them out; anything else was cut off
+        const cause = complete ? 'dropped' : 'truncated';
+        modelPartialResponsesTotal.inc({ model: selectedModel, cause });
+        if (rerequests >= MAX_TARGETED_REREQUESTS) {
+          const partialError = new Error(complete
+            ? `${config.name} kept leaving layers out of its response; ${pendingLayers.length} layers unanalysed`
+            : `${config.name} kept truncating its response; ${pendingLayers.length} layers unanalysed`);
+          partialError.reason = complete ? 'missing_layers' : 'invalid_json';
+          throw partialError;
+        }
+        rerequests++;
+        logger.warn(complete
+          ? `🩹 ${config.name} left ${pendingLayers.length} layers out of its response, re-requesting them`
+          : `🩹 Salvaged ${salvaged.length} layers from a truncated ${config.name} response, re-requesting ${pendingLayers.length}`, {
+          model: selectedModel,
+          layerIds: pendingLayers.map(layer => layer.id)
+        });
+
+      } catch (error) {
+        retries--;
+        modelRequestDuration.observe({ model: selectedModel, outcome: 'error' }, (Date.now() - attemptStartedAt) / 1000);
+        if (error.reason === 'invalid_json') {
+          modelJsonParseFailuresTotal.inc({ model: selectedModel });
+        }
+        if (retries === 0 || controller.signal.aborted) {
+          logger.error(`❌ ${config.name} analysis failed`, { model: selectedModel, error: error.message, reason: error.reason || null });
+          // Layers already salvaged are kept; only the rest moves down the chain
+          error.salvagedResults = results;
+          error.pendingLayers = pendingLayers;
+          error.unknownLayerIds = unknownLayerIds;
+          throw error;
+        }
+        modelRetriesTotal.inc({ model: selectedModel });
+        logger.warn(`Retrying ${config.name} analysis (${retries} attempts left)...`, { model: selectedModel, error: error.message });
+      }
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// --- Model fallback chain ---
+
+// Classify a model failure; only these reasons move on to the next model
+function getFallbackReason(error) {
+  if (error.reason === 'invalid_json') return 'invalid_json';
+  if (error.reason === 'missing_layers') return 'missing_layers';
+  if (error.reason === 'prompt_too_large') return 'prompt_too_large';
+  if (error.status === 429) return 'rate_limited';
+  if (error.status >= 500) return 'server_error';
+  if (error.name === 'FetchError' || ['ECONNRESET', 'ENOTFOUND', 'ECONNREFUSED'].includes(error.code)) {
+    return 'network_error';
+  }
+  return null;
+}
+
+function buildModelChain(primaryModel, { localOnly = false } = {}) {
+  // Copy meant for a self-hosted model never falls back to a hosted one
+  const selfHostedOnly = localOnly || Boolean(MODEL_CONFIGS[primaryModel].local);
+  const fallbacks = MODEL_FALLBACK_CHAIN.filter(key =>
+    key !== primaryModel && isModelAvailable(MODEL_CONFIGS[key]) && (!selfHostedOnly || MODEL_CONFIGS[key].local)
+  );
+  return [primaryModel, ...fallbacks];
+}
+
+/**
+ * Pick the model for a request: the requested one, else the guideline set's,
+ * else Gemini. Sets marked `local_only` (NDA projects) only reach self-hosted
+ * models, fallbacks included. Throws with `status` when the model is unknown,
+ * not allowed or not configured.
+ */
+function selectModel(requestedModel, { defaultModel = null, localOnly = false } = {}) {
+  const localModels = Object.keys(MODEL_CONFIGS).filter(key => MODEL_CONFIGS[key].local);
+  const modelKey = requestedModel || defaultModel || (localOnly ? localModels[0] : 'gemini');
+
+  if (!modelKey) {
+    const noModelError = new Error('Guideline set only allows self-hosted models, but none is configured (LOCAL_MODELS)');
+    noModelError.status = 500;
+    throw noModelError;
+  }
+
+  const modelConfig = MODEL_CONFIGS[modelKey];
+  if (!modelConfig) {
+    const unknownError = new Error(`Invalid model: ${modelKey}`);
+    unknownError.status = 400;
+    unknownError.availableModels = Object.keys(MODEL_CONFIGS);
+    throw unknownError;
+  }
+
+  if (localOnly && !modelConfig.local) {
+    const policyError = new Error(`${modelConfig.name} is not self-hosted; this guideline set only allows ${localModels.join(', ') || 'self-hosted models'}`);
+    policyError.status = 403;
+    policyError.availableModels = localModels;
+    throw policyError;
+  }
+
+  if (!isModelAvailable(modelConfig)) {
+    const keyError = new Error(`${modelConfig.name} API key missing (${modelConfig.envKey})`);
+    keyError.status = 500;
+    throw keyError;
+  }
+
+  return { modelKey, modelConfig, modelChain: buildModelChain(modelKey, { localOnly }) };
+}
+
+/**
+ * Run analyzeWithModel down an ordered chain of models until one succeeds.
+ * Non-retryable failures (bad request, auth, timeout) stop the chain immediately.
+ * When the chain ends after some layers were analysed, those results are
+ * returned and the rest are listed in `unanalysedLayers` with
+ * `unanalysedReason`; it only throws when no layer got a result.
+ */
+async function analyzeWithFallback(textLayers, guidelines, guidelinesHash, modelChain, timeout = 15000, options = {}) {
+  const deadline = Date.now() + timeout;
+  const fallbacks = [];
+  let lastError = null;
+  // Layers a failed model did analyse (salvaged from a truncated response) are
+  // kept; the next model only gets the rest
+  const salvagedResults = [];
+  const unknownLayerIds = [];
+  let pendingLayers = textLayers;
+  let salvagedBy = null;
+
+  const partialOutcome = (reason) => {
+    logger.warn(`🧩 ${pendingLayers.length} of ${textLayers.length} layers left unanalysed (${reason})`, {
+      layerIds: pendingLayers.map(layer => layer.id)
+    });
+    return { results: salvagedResults, unanalysedLayers: pendingLayers, unanalysedReason: reason, unknownLayerIds, modelUsed: salvagedBy, fallbacks };
+  };
+
+  for (let i = 0; i < modelChain.length; i++) {
+    const modelKey = modelChain[i];
+    const timeRemaining = deadline - Date.now();
+
+    if (timeRemaining <= 2000) {
+      logger.warn(`⏳ No time left to try ${modelKey}: ${timeRemaining}ms`);
+      break;
+    }
+
+    try {
+      const outcome = await analyzeWithModel(pendingLayers, guidelines, guidelinesHash, modelKey, timeRemaining, options);
+      unknownLayerIds.push(...outcome.unknownLayerIds);
+      return { results: [...salvagedResults, ...outcome.results], unanalysedLayers: [], unanalysedReason: null, unknownLayerIds, modelUsed: modelKey, fallbacks };
+    } catch (error) {
+      const reason = getFallbackReason(error);
+      const isLast = i === modelChain.length - 1;
+
+      unknownLayerIds.push(...(error.unknownLayerIds || []));
+      if (error.salvagedResults?.length > 0) {
+        salvagedResults.push(...error.salvagedResults);
+        pendingLayers = error.pendingLayers;
+        salvagedBy = salvagedBy || modelKey;
+      }
+
+      if (!reason || isLast) {
+        if (salvagedResults.length > 0) return partialOutcome(reason || 'model_failure');
+        error.fallbacks = fallbacks;
+        throw error;
+      }
+
+      lastError = error;
+      fallbacks.push({ model: modelKey, reason, error: error.message });
+      modelFallbacksTotal.inc({ model: modelKey, reason });
+      logger.warn(`🔀 ${MODEL_CONFIGS[modelKey].name} failed (${reason}), falling back to ${MODEL_CONFIGS[modelChain[i + 1]].name}`);
+    }
+  }
+
+  if (salvagedResults.length > 0) return partialOutcome('insufficient_time');
+
+  const error = lastError || new Error('Model fallback chain exhausted');
+  error.fallbacks = fallbacks;
+  throw error;
+}
+
+// --- Consensus mode ---
+
+/**
+ * Resolve the `consensus` request option: `true` for the default models, or
+ * `{ models, strategy }`. Returns null when consensus is off. Every model goes
+ * through selectModel, so local-only sets stay self-hosted. Throws with `status`.
+ */
+function selectConsensus(requested, { modelChain, modelPolicy = {} }) {
+  if (!requested) return null;
+
+  const invalid = (message) => {
+    const consensusError = new Error(message);
+    consensusError.status = 400;
+    return consensusError;
+  };
+
+  const options = requested === true ? {} : requested;
+  if (typeof options !== 'object' || (options.models !== undefined && !Array.isArray(options.models))) {
+    throw invalid('consensus must be true or { models: [...], strategy }');
+  }
+
+  const strategy = options.strategy || 'agreement';
+  if (!CONSENSUS_STRATEGIES.includes(strategy)) {
+    throw invalid(`Unknown consensus strategy "${strategy}" (available: ${CONSENSUS_STRATEGIES.join(', ')})`);
+  }
+
+  const candidates = options.models || (CONSENSUS_MODELS.length > 0 ? CONSENSUS_MODELS : modelChain.slice(0, 2));
+  const models = [...new Set(candidates)].map(key => selectModel(key, { localOnly: modelPolicy.localOnly }).modelKey);
+  if (models.length < 2) {
+    const modelsError = invalid('Consensus needs two different available models');
+    modelsError.availableModels = Object.keys(MODEL_CONFIGS).filter(key => isModelAvailable(MODEL_CONFIGS[key]));
+    throw modelsError;
+  }
+
+  return { models, strategy };
+}
+
+// One layer's results from the models that answered, merged into one result
+function mergeConsensusResults(layerResults, { models, strategy }) {
+  const [{ result: base }] = layerResults;
+  const violations = resolveViolationSpans(base.originalText, mergeViolations(
+    Object.fromEntries(layerResults.map(({ model, result }) => [model, result.violations])),
+    { strategy }
+  ));
+
+  return {
+    ...base,
+    hasViolations: violations.length > 0,
+    violations,
+    correctedText: buildCorrectedText(base.originalText, violations),
+    confidence: layerResults.reduce((sum, { result }) => sum + result.confidence, 0) / layerResults.length,
+    model: layerResults.map(({ result }) => result.model).join(' + '),
+    models: layerResults.map(({ model }) => model),
+    // False when some models did not answer for this layer; its findings are not cross-checked
+    consensus: layerResults.length === models.length
+  };
+}
+
+/**
+ * Send the same layers to every consensus model and merge their findings per
+ * layer. There is no fallback, so each answer is independent. When a model
+ * fails, the others' findings are kept with `consensus: false` and the failure
+ * is listed in `consensusFailures`. Throws when no model answered.
+ */
+async function analyzeWithConsensus(textLayers, guidelines, guidelinesHash, consensus, timeout = 15000, options = {}) {
+  const settled = await Promise.allSettled(consensus.models.map(modelKey =>
+    analyzeWithFallback(textLayers, guidelines, guidelinesHash, [modelKey], timeout, options)
+  ));
+
+  const answered = [];
+  const consensusFailures = [];
+  settled.forEach((outcome, index) => {
+    const model = consensus.models[index];
+    if (outcome.status === 'fulfilled') {
+      answered.push({ model, ...outcome.value });
+    } else {
+      consensusFailures.push({ model, reason: getFallbackReason(outcome.reason) || 'model_failure', error: outcome.reason.message });
+    }
+  });
+
+  if (answered.length === 0) {
+    const error = settled[0].reason;
+    error.fallbacks = [];
+    throw error;
+  }
+  if (consensusFailures.length > 0) {
+    logger.warn(`🤝 Consensus incomplete: ${consensusFailures.map(f => f.model).join(', ')} failed, keeping ${answered.map(a => a.model).join(', ')}`, {
+      failures: consensusFailures
+    });
+  }
+
+  const results = [];
+  const unanalysedLayers = [];
+  textLayers.forEach(layer => {
+    const layerResults = answered.flatMap(({ model, results: modelResults }) => {
+      const result = modelResults.find(r => r.id === layer.id);
+      return result ? [{ model, result }] : [];
+    });
+    if (layerResults.length === 0) unanalysedLayers.push(layer);
+    else results.push(mergeConsensusResults(layerResults, consensus));
+  });
+
+  return {
+    results,
+    unanalysedLayers,
+    unanalysedReason: unanalysedLayers.length > 0 ? answered.find(a => a.unanalysedReason)?.unanalysedReason || 'model_failure' : null,
+    unknownLayerIds: answered.flatMap(a => a.unknownLayerIds),
+    modelUsed: answered.map(a => a.model).join('+'),
+    fallbacks: [],
+    consensusFailures
+  };
+}
+
+// --- Suppression rules ---
+
+const SUPPRESSION_PATTERN_FIELDS = {
+  text_pattern: 'text',
+  violation_pattern: 'violation',
+  rule_pattern: 'rule'
+};
+
+/**
+ * Compile suppression rule rows. A violation is suppressed when every pattern
+ * the rule defines matches: `text_pattern` against the layer text,
+ * `violation_pattern` against the flagged substring and `rule_pattern` against
+ * "ruleCategory: ruleDescription". Invalid rules are skipped with a warning.
+ */
+function compileSuppressionRules(rows = []) {
+  return rows.flatMap(row => {
+    const compiled = { id: row.id, name: row.name || row.id, description: row.description || null, conditions: row.conditions || {} };
+    const flags = typeof row.flags === 'string' ? row.flags : 'i';
+
+    try {
+      Object.entries(SUPPRESSION_PATTERN_FIELDS).forEach(([field, key]) => {
+        if (row[field]) compiled[key] = new RegExp(row[field], flags.replace(/[gy]/g, ''));
+      });
+    } catch (err) {
+      logger.warn(`⚠️ Skipping suppression rule "${compiled.name}": ${err.message}`);
+      return [];
+    }
+
+    if (!compiled.text && !compiled.violation && !compiled.rule) {
+      logger.warn(`⚠️ Skipping suppression rule "${compiled.name}": no pattern`);
+      return [];
+    }
+    return [compiled];
+  });
+}
+
+// `conditions` cover what a regex cannot: whether the fix only shortens the
+// text, and whether the layer reported its available space
+function matchesSuppressionRule(rule, text, violation, layerContext) {
+  if (rule.text && !rule.text.test(text)) return false;
+  if (rule.violation && !rule.violation.test(violation.original || '')) return false;
+  if (rule.rule && !rule.rule.test(`${violation.ruleCategory || ''}: ${violation.ruleDescription || ''}`)) return false;
+
+  const { shorter_suggestion: shorterSuggestion, space_context: spaceContext } = rule.conditions;
+  if (shorterSuggestion !== undefined &&
+      shorterSuggestion !== ((violation.suggested || '').length < (violation.original || '').length)) return false;
+  if (spaceContext !== undefined && spaceContext !== Boolean(layerContext?.availableChars)) return false;
+
+  return true;
+}
+
+function applySuppressionRules(result, suppressionRules) {
+  if (suppressionRules.length === 0 || !result.violations?.length) return { result, suppressed: [] };
+
+  const suppressed = [];
+  const violations = result.violations.filter(violation => {
+    const rule = suppressionRules.find(r => matchesSuppressionRule(r, result.originalText, violation, result.layerContext));
+    if (!rule) return true;
+
+    suppressed.push({
+      layerId: result.id,
+      text: result.originalText,
+      rule: rule.name,
+      violation: {
+        original: violation.original,
+        suggested: violation.suggested,
+        ruleCategory: violation.ruleCategory,
+        ruleDescription: violation.ruleDescription
+      }
+    });
+    if (process.env.DEBUG_ANALYSIS) {
+      logger.info(`🔇 Suppressed by "${rule.name}": "${violation.original}" → "${violation.suggested}" in "${result.originalText}"`);
+    }
+    return false;
+  });
+
+  if (suppressed.length === 0) return { result, suppressed };
+  return {
+    result: {
+      ...result,
+      hasViolations: violations.length > 0,
+      violations,
+      correctedText: buildCorrectedText(result.originalText, violations)
+    },
+    suppressed
+  };
+}
+
+// --- Suggestion feedback ---
+
+// Feedback is kept per guideline set rather than per guidelines version, so a
+// rejection survives later edits to the guidelines
+function getFeedbackScope(guidelineSet) {
+  return guidelineSet?.id || 'global';
+}
+
+// Identifies one finding on one text: rule (stable id when known, else category)
+// plus the flagged substring
+function createFeedbackKey(text, violation) {
+  const ruleKey = getFeedbackRuleKey(violation);
+  const original = TextUtils.normalize(violation.original || '');
+  return crypto.createHash('sha256')
+    .update(`${TextUtils.normalize(text)}|${ruleKey}|${original}`)
+    .digest('hex');
+}
+
+// The rule a model links a finding to can vary between runs, so only the rule
+// engine's deterministic IDs key feedback; model findings go by category
+function getFeedbackRuleKey(violation) {
+  return (violation.source === 'rule_engine' && violation.ruleId) || (violation.ruleCategory || 'general').trim().toLowerCase();
+}
+
+/**
+ * Keys of findings whose latest feedback for these texts is a rejection.
+ * Non-critical: any failure simply suppresses nothing.
+ */
+async function loadRejectedFeedbackKeys(layers, scope, timeout = 1500) {
+  if (!supabase) return new Set();
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), Math.max(timeout, 500));
+
+  try {
+    const fingerprints = [...new Set(layers.map(layer => createTextFingerprint(layer.text)))];
+    const { data, error } = await supabase
+      .from('violation_feedback')
+      .select('feedback_key, action, created_at')
+      .eq('scope', scope)
+      .in('text_fingerprint', fingerprints)
+      .order('created_at', { ascending: true })
+      .abortSignal(controller.signal);
+
+    if (error || !data?.length) return new Set();
+
+    const latestAction = new Map();
+    data.forEach(row => latestAction.set(row.feedback_key, row.action));
+    return new Set([...latestAction].filter(([, action]) => action === 'reject').map(([key]) => key));
+  } catch (err) {
+    logger.warn('Feedback lookup failed (non-critical)', { error: err.message });
+    return new Set();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function suppressRejectedViolations(result, rejectedKeys) {
+  if (rejectedKeys.size === 0 || !result.violations?.length) return result;
+
+  const violations = result.violations.filter(v => !rejectedKeys.has(createFeedbackKey(result.originalText, v)));
+  const suppressed = result.violations.length - violations.length;
+  if (suppressed === 0) return result;
+
+  logger.debug(`🙈 Suppressed ${suppressed} rejected finding(s) on "${result.originalText}"`);
+  return {
+    ...result,
+    hasViolations: violations.length > 0,
+    violations,
+    correctedText: buildCorrectedText(result.originalText, violations),
+    suppressedByFeedback: suppressed
+  };
+}
+
+// --- Confidence threshold ---
+
+/** Validate the `minConfidence` request option; throws with status 400. */
+function parseMinConfidence(value) {
+  if (value === undefined || value === null) return DEFAULT_MIN_CONFIDENCE;
+  if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+    const confidenceError = new Error('minConfidence must be a number between 0 and 1');
+    confidenceError.status = 400;
+    throw confidenceError;
+  }
+  return value;
+}
+
+// Findings below the threshold come back as `suggestions`: shown with less
+// emphasis and left out of correctedText
+function splitByConfidence(result, minConfidence) {
+  const isSuggestion = v => typeof v.confidence === 'number' && v.confidence < minConfidence;
+  const suggestions = (result.violations || []).filter(isSuggestion);
+  if (suggestions.length === 0) return { ...result, suggestions: result.suggestions || [] };
+
+  const violations = result.violations.filter(v => !isSuggestion(v));
+  return {
+    ...result,
+    hasViolations: violations.length > 0,
+    violations,
+    suggestions: [...(result.suggestions || []), ...suggestions],
+    correctedText: buildCorrectedText(result.originalText, violations)
+  };
 }
 
-/**
- * Generate rule descriptions from dynamic guidelines structure
- */
-function generateRuleDescriptions(rulesData, category) {
-  const descriptions = [];
-
-  function processRulesObject(obj, prefix = '') {
-    if (!obj || typeof obj !== 'object') return;
-
-    if (Array.isArray(obj)) {
-      obj.forEach(item => {
-        if (typeof item === 'string') {
-          descriptions.push(`${prefix}${item}`);
-        } else if (typeof item === 'object') {
-          processRulesObject(item, prefix);
-        }
-      });
-      return;
-    }
+// --- Severity filter ---
 
-    Object.entries(obj).forEach(([key, value]) => {
-      if (typeof value === 'string') {
-        const description = prefix
-          ? `${prefix} ${key}: ${value}`
-          : `${key}: ${value}`;
-        descriptions.push(description);
-      } else if (typeof value === 'object' && value !== null) {
-        const newPrefix = prefix ? `${prefix} ${key}` : key;
-        processRulesObject(value, `${newPrefix} -`);
-      }
-    });
+/** Validate the `minSeverity` request option; throws with status 400. Null means no filter. */
+function parseMinSeverity(value) {
+  if (value === undefined || value === null) return null;
+  if (!SEVERITY_LEVELS.includes(value)) {
+    const severityError = new Error(`minSeverity must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+    severityError.status = 400;
+    throw severityError;
   }
+  return value;
+}
+
+// Findings below minSeverity are dropped, suggestions included. Results cached
+// before violations carried a severity count as the default one.
+function filterBySeverity(result, minSeverity) {
+  if (!minSeverity) return result;
 
-  processRulesObject(rulesData);
-  return descriptions.length > 0 ? descriptions : [`Check ${category} compliance`];
+  const minRank = SEVERITY_LEVELS.indexOf(minSeverity);
+  const meetsSeverity = v => SEVERITY_LEVELS.indexOf(toSeverity(v.severity)) >= minRank;
+  const violations = (result.violations || []).filter(meetsSeverity);
+  if (violations.length === (result.violations || []).length && (result.suggestions || []).every(meetsSeverity)) return result;
+
+  return {
+    ...result,
+    hasViolations: violations.length > 0,
+    violations,
+    suggestions: (result.suggestions || []).filter(meetsSeverity),
+    correctedText: buildCorrectedText(result.originalText, violations)
+  };
 }
 
-// --- Enhanced analysis with model router ---
-async function analyzeWithModel(textLayers, guidelines, guidelinesHash, selectedModel = 'gemini', timeout = 15000) {
-  const config = MODEL_CONFIGS[selectedModel];
-  if (!config) {
-    throw new Error(`Unknown model: ${selectedModel}`);
-  }
+// --- Usage accounting ---
+const USAGE_WRITE_TIMEOUT_MS = 2000;
 
-  const systemPrompt = createDynamicSystemPrompt(guidelines, guidelinesHash);
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => {
-    console.log(`⚠️ ${config.name} timeout after ${timeout}ms for ${textLayers.length} layers`);
-    controller.abort();
-  }, timeout);
+// Callers may identify themselves with `X-Api-Key`; only a hash is stored
+function getApiKeyHash(req) {
+  const apiKey = req.headers?.['x-api-key'];
+  if (typeof apiKey !== 'string' || !apiKey) return null;
+  return crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+}
 
-  let retries = 2;
-  while (retries > 0) {
-    try {
-      console.log(`🔍 ${config.name} analysis: ${textLayers.length} layers, attempt ${3 - retries}`);
-
-      let response;
-
-      // Build request based on model type
-      if (selectedModel === 'gemini') {
-        // Gemini format
-        response = await fetch(`${config.endpoint}?key=${process.env[config.envKey]}`, {
-          method: 'POST',
-          signal: controller.signal,
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{
-              parts: [{
-                text: `${systemPrompt}\n\nANALYZE THESE TEXT LAYERS AGAINST ALL GUIDELINES:\n\n${JSON.stringify(textLayers.map(l => ({ id: l.id, text: l.text })))}`
-              }]
-            }],
-            generationConfig: {
-              temperature: 0.05,
-              topK: 40,
-              topP: 0.9,
-              maxOutputTokens: 4096,
-            },
-            safetySettings: [
-              { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
-              { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
-              { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
-              { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_MEDIUM_AND_ABOVE" }
-            ]
-          })
-        });
-      } else {
-        // OpenRouter format (Nova, Qwen)
-        response = await fetch(config.endpoint, {
-          method: 'POST',
-          signal: controller.signal,
-          headers: {
-            'Authorization': `Bearer ${process.env[config.envKey]}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': process.env.VERCEL_URL || 'https://content-lint.vercel.app',
-            'X-Title': 'Axis Content Wand'
-          },
-          body: JSON.stringify({
-            model: config.model,
-            messages: [
-              { role: 'system', content: systemPrompt },
-              { role: 'user', content: `ANALYZE THESE TEXT LAYERS AGAINST ALL GUIDELINES:\n\n${JSON.stringify(textLayers.map(l => ({ id: l.id, text: l.text })))}` }
-            ],
-            temperature: 0.05,
-            max_tokens: 4096
-          })
-        });
-      }
+/**
+ * Store the model usage of one request or job chunk in `model_usage`, keyed
+ * by guideline set (team) and API key hash. Requests that never reached a
+ * model are not stored. Never throws: accounting must not fail an analysis.
+ */
+async function storeUsage(usage, { guidelineSet = null, apiKeyHash = null, endpoint, jobId = null, layers = 0 }) {
+  if (!supabase || !usage || usage.calls === 0) return;
 
-      clearTimeout(timeoutId);
+  try {
+    const { error } = await supabase
+      .from('model_usage')
+      .insert({
+        guideline_set_id: guidelineSet?.id || null,
+        api_key_hash: apiKeyHash,
+        endpoint,
+        trace_id: getTraceId(),
+        job_id: jobId,
+        layers,
+        model_calls: usage.calls,
+        prompt_tokens: usage.promptTokens,
+        completion_tokens: usage.completionTokens,
+        estimated_cost_usd: usage.estimatedCostUsd,
+        by_model: usage.byModel
+      })
+      .abortSignal(AbortSignal.timeout(USAGE_WRITE_TIMEOUT_MS));
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`${config.name} ${response.status}: ${errorText.slice(0, 100)}`);
-      }
+    if (error) throw new Error(error.message);
+  } catch (err) {
+    logger.warn('Usage accounting failed (non-critical)', { error: err.message });
+  }
+}
 
-      const data = await response.json();
+// --- Analysis pipeline: cache → rule engine → model chain ---
 
-      // Parse response using model-specific parser
-      let content = config.parseResponse(data);
+/**
+ * Analyze a set of layers end to end. Shared by the analyze handler and the
+ * job runner so both apply identical caching, local rules and model fallback.
+ * With `consensus` ({ models, strategy }, see selectConsensus) each batch goes
+ * to every consensus model instead of down the chain, and cached model
+ * results are neither read nor written.
+ * Every layer sent ends up with a result; layers no model analysed get a
+ * fallback result and are listed in `unanalysed`. Throws when every model in
+ * the chain fails; `error.fallbacks` lists the attempts and `error.usage` the
+ * tokens they used.
+ */
+async function runAnalysisPipeline(layers, { guidelines, guidelineSet, guidelinesHash, ruleEngine, ruleIndex = null, suppressionRules = [], glossary = null, modelChain, consensus = null, minConfidence = DEFAULT_MIN_CONFIDENCE, minSeverity = null, deadline, modelBatchSize, modelConcurrency, onResults }) {
+  let rejectedFeedbackKeys = new Set();
+  let lineageByLayer = new Map();
+
+  // Every stage's results pass through here: edits to protected terms, known
+  // false positives and designer-rejected findings are removed, findings
+  // below minConfidence become suggestions, those below minSeverity are
+  // dropped, the layer's correction lineage is attached, then streaming
+  // callers receive them as soon as they exist
+  const publish = (stage, results, meta = {}) => {
+    const published = results.map(result => {
+      const { result: filtered, suppressed } = applySuppressionRules(dropProtectedTermViolations(result, glossary), suppressionRules);
+      outcome.suppressed.push(...suppressed);
+      const lineage = !filtered.lineage && lineageByLayer.get(filtered.id);
+      const confident = splitByConfidence(suppressRejectedViolations(lineage ? { ...filtered, lineage } : filtered, rejectedFeedbackKeys), minConfidence);
+      return filterBySeverity(confident, minSeverity);
+    });
+    outcome.results.push(...published);
+    layerResultsTotal.inc({ stage }, published.length);
+    if (onResults && published.length > 0) onResults(stage, published, meta);
+    return published;
+  };
 
-      content = content.trim()
-        .replace(/```json\s*/gi, '')
-        .replace(/```/g, '')
-        .replace(/^[^[\{]*/, '')
-        .replace(/[^}\]]*$/, '')
-        .trim();
+  const outcome = {
+    results: [],
+    cacheHits: 0,
+    relationshipHits: 0,
+    reverts: 0,
+    preFiltered: 0,
+    resolvedLocally: 0,
+    modelAnalyzed: 0,
+    modelUsed: null,
+    fallbacks: [],
+    unanalysed: [],
+    unknownLayerIds: [],
+    consensus: consensus && { ...consensus, failures: [] },
+    suppressed: [],
+    suppressedByFeedback: 0,
+    usage: createUsage()
+  };
 
-      if (!content) {
-        throw new Error(`Empty ${config.name} response`);
-      }
+  const finishOutcome = () => {
+    outcome.suppressedByFeedback = outcome.results.reduce((sum, r) => sum + (r.suppressedByFeedback || 0), 0);
+    outcome.unanalysed = listUnanalysedLayers(outcome.results);
+    return outcome;
+  };
 
-      const parsed = JSON.parse(content);
-      if (!Array.isArray(parsed)) {
-        throw new Error('Invalid response format');
-      }
+  if (layers.length === 0) return outcome;
 
-      const results = parsed.map(result => {
-        const originalLayer = textLayers.find(l => l.id === result.id);
-        const originalText = originalLayer?.text || '';
-
-        let correctedText = result.correctedText || originalText;
-        let hasViolations = Boolean(result.violations && result.violations.length > 0);
-
-        const processedViolations = Array.isArray(result.violations) ? result.violations.filter(v =>
-          v.original && v.suggested &&
-          v.original.trim() !== v.suggested.trim() &&
-          originalText.includes(v.original)
-        ).map(v => ({
-          original: v.original.trim(),
-          suggested: v.suggested.trim(),
-          confidence: Math.min(1.0, Math.max(0.85, v.confidence || 0.90)),
-          ruleCategory: v.ruleCategory || 'General',
-          ruleDescription: v.ruleDescription || 'Guideline violation'
-        })) : [];
-
-        // Apply post-processing to filter false positives
-        const postProcessViolations = (originalText, violations) => {
-          return violations.filter(v => {
-            // ❌ Don't flag full date format as violation
-            if (v.ruleDescription?.includes('date') &&
-                /\b\d{1,2}\s+[A-Za-z]+\s*,?\s+\d{4}\b/.test(originalText)) {
-              return false; // e.g., "15 October, 2023" is valid
-            }
-            // ❌ Don't flag "to" in time ranges
-            if (v.ruleDescription?.includes('time') &&
-                /\b\d{1,2}:\d{2}\s+[ap]m\s+to\s+\d{1,2}:\d{2}\s+[ap]m\b/i.test(originalText)) {
-              return false; // e.g., "11:00 am to 12:00 pm" is valid
-            }
-            // ❌ Don't flag single "please"
-            if (v.original?.toLowerCase() === 'please' &&
-                (originalText.match(/\bplease\b/gi)?.length || 0) === 1) {
-              return false;
-            }
-            // ❌ Don't flag valid abbreviations when space allows full forms
-            if (v.suggested && v.suggested.length < v.original.length &&
-                /\b(Mon|Tue|Wed|Thu|Fri|Sat|Sun|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\b/.test(v.original) &&
-                v.ruleDescription?.includes('space') === false) {
-              // Only flag abbreviations if explicit space constraint mentioned
-              return false;
-            }
-            return true;
-          });
-        };
+  let uncachedLayers = [];
+  logger.info(`💾 Enhanced cache check with relationships for ${layers.length} layers...`);
 
-        const filteredViolations = postProcessViolations(originalText, processedViolations);
+  try {
+    const timeForCache = Math.min(3000, deadline - Date.now() - 4000);
+    const [cacheCheck, rejectedKeys] = await Promise.all([
+      // A consensus audit must not be answered by an earlier single-model result
+      performOptimizedCacheCheckWithRelationships(layers, guidelinesHash, timeForCache, { lookup: !consensus }),
+      loadRejectedFeedbackKeys(layers, getFeedbackScope(guidelineSet), timeForCache)
+    ]);
+    const { cachedResults, uncachedLayers: uncachedLayersFromCache } = cacheCheck;
+    rejectedFeedbackKeys = rejectedKeys;
+    lineageByLayer = cacheCheck.lineageByLayer;
+
+    uncachedLayers = uncachedLayersFromCache;
+    publish('cache', cachedResults);
+    outcome.cacheHits = cachedResults.length;
+    outcome.preFiltered = cachedResults.filter(r => r.preFiltered).length;
+    outcome.relationshipHits = cachedResults.filter(r => r.fromRelationshipCache).length;
+    outcome.reverts = cachedResults.filter(r => r.revertedFrom).length;
+
+    logger.info(`📊 Enhanced cache results: ${outcome.cacheHits} hits (${outcome.preFiltered} pre-filtered, ${outcome.relationshipHits} relationship-based), ${uncachedLayers.length} layers need analysis`);
 
-        if (hasViolations && filteredViolations.length > 0) {
-          if (!correctedText || correctedText === originalText) {
-            correctedText = generateFallbackCorrection(originalText, filteredViolations);
-          }
+  } catch (err) {
+    logger.error('Enhanced cache failed', { error: err.message });
+    uncachedLayers = layers.filter(layer => !layer.likelyCompliant);
+  }
 
-          let finalCorrectedText = correctedText;
-          filteredViolations.forEach(v => {
-            if (finalCorrectedText.includes(v.original) && !finalCorrectedText.includes(v.suggested)) {
-              finalCorrectedText = finalCorrectedText.replace(new RegExp(escapeRegExp(v.original), 'g'), v.suggested);
-            }
-          });
-          correctedText = finalCorrectedText;
-        }
+  if (uncachedLayers.length === 0) return finishOutcome();
 
-        if (correctedText === originalText && hasViolations && filteredViolations.length === 0) {
-          hasViolations = false;
-        }
+  // Mechanical rules are resolved locally; only semantic checks reach the model
+  const { localResults, modelLayers, localViolationsByLayer } = applyRuleEngine(uncachedLayers, ruleEngine, guidelinesHash);
+  outcome.resolvedLocally = localResults.length;
+  outcome.modelAnalyzed = modelLayers.length;
 
-        return {
-          id: result.id,
-          hasViolations: hasViolations,
-          violations: filteredViolations,
-          correctedText: correctedText,
-          originalText: originalText,
-          confidence: Math.min(1.0, Math.max(0.85, result.confidence || 0.90)),
-          guidelinesVersion: guidelinesHash,
-          model: config.name // Track which model was used
-        };
-      });
+  // Under minSeverity, correctedText leaves lower-severity findings in place,
+  // so it must not be cached as compliant
+  const storeCorrections = !minSeverity;
+  const localPublished = publish('rule_engine', localResults);
+  if (storeCorrections) await cacheCorrectionsAsCompliantWithRelationships(localPublished, guidelinesHash);
 
-      console.log(`✅ ${config.name} analysis complete: ${results.length} results, ${results.filter(r => r.hasViolations).length} with violations`);
-      return results;
+  if (modelLayers.length === 0) return finishOutcome();
 
-    } catch (error) {
-      retries--;
-      clearTimeout(timeoutId);
-      if (retries === 0) {
-        console.error(`❌ ${config.name} analysis failed:`, error.message);
-        throw error;
-      }
-      console.warn(`Retrying ${config.name} analysis (${retries} attempts left)...`);
-    }
+  const timeRemaining = deadline - Date.now();
+  if (timeRemaining <= 2000) {
+    logger.warn(`⏳ Insufficient time for model analysis: ${timeRemaining}ms`);
+    publish('fallback', createOptimizedFallback(modelLayers, 'insufficient_time', guidelinesHash)
+      .map(result => mergeLocalViolations(result, localViolationsByLayer.get(result.id))));
+    return finishOutcome();
   }
-}
 
-// Replace the existing analyzeWithGeminiDynamicWithRelationships function with this:
-async function analyzeWithGeminiDynamicWithRelationships(textLayers, guidelines, guidelinesHash, timeout = 15000) {
-  // Use batched processing for large layer counts
-  if (textLayers.length > 25) {
-    return await analyzeWithGeminiDynamicBatched(textLayers, guidelines, guidelinesHash, timeout);
+  // Single model call handles ≤25 layers easily; streaming splits it so each
+  // batch can be sent as it finishes. Every batch resends the system prompt,
+  // so batches go through a queue of `modelConcurrency` rather than all at
+  // once. The chain covers outages.
+  const batchSize = modelBatchSize || modelLayers.length;
+  const batches = [];
+  for (let i = 0; i < modelLayers.length; i += batchSize) {
+    batches.push(modelLayers.slice(i, i + batchSize));
   }
+  const queue = new PQueue({ concurrency: modelConcurrency || batches.length });
+
+  const batchOutcomes = await Promise.allSettled(batches.map((batch, index) => queue.add(async () => {
+    const modelOptions = { guidelineSet, suppressionRules, glossary, ruleIndex, usage: outcome.usage };
+    // Queued batches only get the time left when they start
+    const batchTimeout = deadline - Date.now() - 1000;
+    const modelOutcome = consensus
+      ? await analyzeWithConsensus(batch, guidelines, guidelinesHash, consensus, batchTimeout, modelOptions)
+      : await analyzeWithFallback(batch, guidelines, guidelinesHash, modelChain, batchTimeout, modelOptions);
+
+    const modelResults = publish('model', modelOutcome.results
+      .map(result => mergeLocalViolations(result, localViolationsByLayer.get(result.id))),
+    { batch: index, model: modelOutcome.modelUsed });
+
+    // Layers no model got to are marked, never passed off as clean
+    if (modelOutcome.unanalysedLayers.length > 0) {
+      publish('fallback', createOptimizedFallback(modelOutcome.unanalysedLayers, modelOutcome.unanalysedReason, guidelinesHash)
+        .map(result => mergeLocalViolations(result, localViolationsByLayer.get(result.id))),
+      { batch: index, model: modelOutcome.modelUsed });
+    }
 
-  // Use single request for smaller counts
-  const results = await analyzeWithModel(textLayers, guidelines, guidelinesHash, 'gemini', timeout);
-  await cacheCorrectionsAsCompliantWithRelationships(results, guidelinesHash);
-  return results;
-}
-
-// Add this new function after analyzeWithGeminiDynamicWithRelationships
-// In analyzeWithGeminiDynamicBatched function, replace everything from line ~570 onwards:
+    // Cache and store relationships. Consensus results are filtered by
+    // agreement, so they would change what single-model requests get back.
+    if (!consensus && storeCorrections) await cacheCorrectionsAsCompliantWithRelationships(modelResults, guidelinesHash);
+    return modelOutcome;
+  })));
 
-async function analyzeWithGeminiDynamicBatched(textLayers, guidelines, guidelinesHash, timeout = 15000) {
-  // Much more aggressive batching for scale
-  const BATCH_SIZE = 12; // Larger batches
-  const availableTime = timeout - 2000;
-  const batches = [];
+  const failedBatches = batchOutcomes.filter(result => result.status === 'rejected');
+  batchOutcomes.forEach(result => {
+    const fallbacks = result.status === 'fulfilled' ? result.value.fallbacks : result.reason.fallbacks;
+    outcome.fallbacks.push(...(fallbacks || []));
+    if (result.status === 'fulfilled') {
+      outcome.unknownLayerIds.push(...result.value.unknownLayerIds);
+      outcome.consensus?.failures.push(...(result.value.consensusFailures || []));
+    }
+  });
 
-  // Split into batches
-  for (let i = 0; i < textLayers.length; i += BATCH_SIZE) {
-    batches.push(textLayers.slice(i, i + BATCH_SIZE));
+  // Nothing came back at all: surface the model failure to the caller
+  if (failedBatches.length === batches.length) {
+    const error = failedBatches[0].reason;
+    error.fallbacks = outcome.fallbacks;
+    error.usage = outcome.usage;
+    throw error;
   }
 
-  console.log(`🔄 Parallel processing: ${textLayers.length} layers in ${batches.length} batches of ~${BATCH_SIZE}`);
+  outcome.modelUsed = batchOutcomes.find(result => result.status === 'fulfilled').value.modelUsed;
 
-  // **KEY CHANGE: Process batches in PARALLEL, not sequential**
-  const batchPromises = batches.map(async (batch, i) => {
-    try {
-      console.log(`🔍 Starting batch ${i + 1}/${batches.length}: ${batch.length} layers`);
+  batchOutcomes.forEach((result, index) => {
+    if (result.status === 'fulfilled') return;
+    logger.error(`❌ Model batch ${index + 1} failed`, { error: result.reason.message });
+    publish('fallback', createOptimizedFallback(batches[index], 'model_failure', guidelinesHash)
+      .map(r => mergeLocalViolations(r, localViolationsByLayer.get(r.id))),
+    { batch: index, error: result.reason.message });
+  });
 
-      // Give each batch 80% of available time (they run in parallel)
-      const batchTimeout = Math.floor(availableTime * 0.8);
-      const batchResults = await analyzeWithModel(batch, guidelines, guidelinesHash, 'gemini', batchTimeout);
+  return finishOutcome();
+}
 
-      console.log(`✅ Batch ${i + 1} completed: ${batchResults.filter(r => r.hasViolations).length}/${batch.length} violations`);
-      return batchResults;
+/**
+ * Run the pipeline over pre-split batches through a p-queue. Batches that cannot
+ * start before `deadline - minBatchTime` are reported as skipped so callers can
+ * resume them later; a failing batch never takes the others down with it.
+ */
+async function analyzeInBatches(batches, context, { concurrency = 3, deadline, minBatchTime = 8000, onBatchStart } = {}) {
+  const queue = new PQueue({ concurrency });
+  const outcomes = [];
 
-    } catch (error) {
-      console.error(`❌ Batch ${i + 1} failed:`, error.message);
-      return createOptimizedFallback(batch, `batch_${i + 1}_failed`, guidelinesHash);
-    }
-  });
+  logger.info(`🔄 Queued processing: ${batches.length} batches, concurrency ${concurrency}`);
 
-  // Wait for all batches to complete in parallel
-  const batchResults = await Promise.allSettled(batchPromises);
-  const allResults = batchResults.flatMap(result =>
-    result.status === 'fulfilled' ? result.value : []
-  );
+  batches.forEach((batch, index) => {
+    queue.add(async () => {
+      if (deadline - Date.now() < minBatchTime) {
+        outcomes[index] = { index, status: 'skipped' };
+        return;
+      }
+
+      if (onBatchStart && !(await onBatchStart(batch, index))) {
+        outcomes[index] = { index, status: 'skipped' };
+        return;
+      }
 
-  // Cache all results
-  await cacheCorrectionsAsCompliantWithRelationships(allResults, guidelinesHash);
+      try {
+        logger.info(`🔍 Starting batch ${index + 1}/${batches.length}: ${batch.length} layers`);
+        const outcome = await runAnalysisPipeline(batch, { ...context, deadline });
+        logger.info(`✅ Batch ${index + 1} completed: ${outcome.results.filter(r => r.hasViolations).length}/${batch.length} with violations`);
+        outcomes[index] = { index, status: 'completed', ...outcome };
+      } catch (error) {
+        logger.error(`❌ Batch ${index + 1} failed`, { error: error.message });
+        outcomes[index] = { index, status: 'failed', error, usage: error.usage || null };
+      }
+    });
+  });
 
-  console.log(`🎯 Parallel analysis complete: ${allResults.length} total results`);
-  return allResults;
+  await queue.onIdle();
+  return outcomes;
 }
 
-function generateFallbackCorrection(originalText, violations) {
-  let corrected = originalText;
+// --- Violation spans ---
 
-  if (Array.isArray(violations)) {
-    violations.sort((a, b) => b.original.length - a.original.length);
+// Find where a violation sits in the text: trust the reported offsets when they
+// point at `original`, otherwise take the free occurrence nearest to them
+function locateViolationSpan(text, violation, isClaimed) {
+  const { original, start } = violation;
+  if (!original) return null;
 
-    violations.forEach(v => {
-      if (v.original && v.suggested && v.original !== v.suggested) {
-        const regex = new RegExp(escapeRegExp(v.original), 'g');
-        corrected = corrected.replace(regex, v.suggested);
+  const hasHint = Number.isInteger(start) && Number.isInteger(violation.end);
+  if (hasHint && text.slice(start, violation.end) === original && !isClaimed(start, violation.end)) {
+    return { start, end: violation.end };
+  }
+
+  let best = null;
+  for (let index = text.indexOf(original); index !== -1; index = text.indexOf(original, index + 1)) {
+    const end = index + original.length;
+    if (isClaimed(index, end)) continue;
+
+    const distance = hasHint ? Math.abs(index - start) : index;
+    if (!best || distance < best.distance) {
+      best = { start: index, end, distance };
+    }
+  }
+
+  return best && { start: best.start, end: best.end };
+}
+
+/**
+ * Validate violation offsets against the layer text. Each violation gets its own
+ * non-overlapping `start`/`end`; higher-confidence violations claim spans first
+ * and anything that cannot be placed is dropped.
+ */
+function resolveViolationSpans(text, violations = []) {
+  const claimed = [];
+  const isClaimed = (start, end) => claimed.some(span => start < span.end && span.start < end);
+  const resolved = [];
+
+  [...violations]
+    .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
+    .forEach(violation => {
+      const span = locateViolationSpan(text, violation, isClaimed);
+      if (!span) {
+        logger.warn(`⚠️ Dropping violation without a valid span: "${violation.original}"`);
+        return;
       }
+      claimed.push(span);
+      resolved.push({ ...violation, start: span.start, end: span.end });
     });
-  }
 
-  return corrected;
+  return resolved.sort((a, b) => a.start - b.start);
+}
+
+// Apply each fix to exactly its own span, right to left so offsets stay valid
+function buildCorrectedText(text, violations) {
+  return [...violations]
+    .sort((a, b) => b.start - a.start)
+    .reduce((corrected, v) => corrected.slice(0, v.start) + v.suggested + corrected.slice(v.end), text);
 }
 
 function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+// Fallback results stand in for layers no model analysed. `analyzed: false`
+// tells the plugin not to show them as clean.
 function createOptimizedFallback(layers, reason, guidelinesHash) {
+  fallbackLayersTotal.inc({ reason }, layers.length);
   return layers.map(layer => ({
     id: layer.id,
     hasViolations: false,
     violations: [],
     correctedText: layer.text,
     originalText: layer.text,
-    confidence: 0.5,
+    confidence: null,
     guidelinesVersion: guidelinesHash,
+    analyzed: false,
     fallback: true,
     reason
   }));
 }
 
+/** `{ id, reason }` for every fallback result, in result order. */
+function listUnanalysedLayers(results) {
+  return results.filter(result => result.fallback).map(({ id, reason }) => ({ id, reason }));
+}
+
+// --- Guidelines loading ---
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_SET_DEPTH = 3; // workspace → brand → product
+
+/**
+ * Resolve the requested guideline set (by id or slug) plus its ancestors,
+ * nearest first. Without a reference the default set is used; when no sets
+ * exist at all, null selects the legacy global guidelines.
+ */
+async function resolveGuidelineSetChain(setRef, signal) {
+  const { data: sets, error } = await supabase
+    .from('guideline_sets')
+    .select('*')
+    .abortSignal(signal);
+
+  if (error) {
+    throw new Error(`Guideline sets error: ${error.message}`);
+  }
+
+  const guidelineSet = setRef
+    ? sets?.find(set => (UUID_PATTERN.test(setRef) ? set.id === setRef : set.slug === setRef))
+    : sets?.find(set => set.is_default);
+
+  if (!guidelineSet) {
+    if (!setRef) return [];
+    const notFound = new Error(`Unknown guideline set: ${setRef}`);
+    notFound.status = 404;
+    throw notFound;
+  }
+
+  const chain = [guidelineSet];
+  while (chain.length < MAX_SET_DEPTH && chain[chain.length - 1].parent_id) {
+    const parent = sets.find(set => set.id === chain[chain.length - 1].parent_id);
+    if (!parent || chain.includes(parent)) break;
+    chain.push(parent);
+  }
+  return chain;
+}
+
+/**
+ * Load active guidelines for a guideline set. Guidelines inherited from parent
+ * sets are included; a guideline in a nearer set replaces one with the same
+ * category and title further up.
+ */
+async function loadGuidelines(setRef = null, timeout = 3000) {
+  const guidelinesController = new AbortController();
+  const guidelinesTimeout = setTimeout(() => guidelinesController.abort(), timeout);
+
+  try {
+    const chain = await resolveGuidelineSetChain(setRef, guidelinesController.signal);
+
+    let query = supabase
+      .from('guidelines')
+      .select('*')
+      .eq('is_active', true);
+    query = chain.length > 0
+      ? query.in('guideline_set_id', chain.map(set => set.id))
+      : query.is('guideline_set_id', null);
+
+    const [{ data, error }, suppressionRules, glossaryTerms] = await Promise.all([
+      query.order('category').abortSignal(guidelinesController.signal),
+      loadSetScopedRows('suppression_rules', chain, guidelinesController.signal, row => row.name),
+      loadSetScopedRows('glossary_terms', chain, guidelinesController.signal, row => String(row.term).toLowerCase())
+    ]);
+
+    if (error || !data?.length) {
+      const loadError = new Error(`Guidelines error: ${error?.message || 'No guidelines'}`);
+      if (!error) loadError.reason = 'no_guidelines';
+      throw loadError;
+    }
+
+    const merged = new Map();
+    [...chain].reverse().forEach(set => {
+      data.filter(g => g.guideline_set_id === set.id).forEach(g => merged.set(`${g.category}::${g.title}`, g));
+    });
+    const guidelines = chain.length > 0
+      ? [...merged.values()].sort((a, b) => (a.category || '').localeCompare(b.category || ''))
+      : data;
+
+    const guidelineSet = chain[0] || null;
+    // The nearest set naming a model wins; confidentiality is inherited from any ancestor
+    const modelPolicy = {
+      defaultModel: chain.find(set => set.model)?.model || null,
+      localOnly: chain.some(set => set.local_only === true)
+    };
+    logger.info(`📋 Guidelines loaded: ${guidelines.length} categories, ${suppressionRules.length} suppression rules, ${glossaryTerms.length} glossary terms (set: ${guidelineSet?.slug || 'global'})`);
+    return { guidelines, guidelineSet, suppressionRules, glossaryTerms, modelPolicy, inheritedFrom: chain.slice(1).map(set => set.slug) };
+  } finally {
+    clearTimeout(guidelinesTimeout);
+  }
+}
+
+/**
+ * Active rows of a table that lives next to the guidelines (suppression rules,
+ * glossary terms) for a set chain. Global rows apply everywhere; a row in a
+ * nearer set replaces one with the same key further up. A missing table or a
+ * query error means no rows, never a failed request.
+ */
+async function loadSetScopedRows(table, chain, signal, keyOf) {
+  try {
+    let query = supabase
+      .from(table)
+      .select('*')
+      .eq('is_active', true);
+    query = chain.length > 0
+      ? query.or(`guideline_set_id.is.null,guideline_set_id.in.(${chain.map(set => set.id).join(',')})`)
+      : query.is('guideline_set_id', null);
+
+    const { data, error } = await query.order('created_at').abortSignal(signal);
+    if (error) {
+      logger.warn(`${table} unavailable (non-critical)`, { error: error.message });
+      return [];
+    }
+
+    const levels = [null, ...[...chain].reverse().map(set => set.id)];
+    const merged = new Map();
+    levels.forEach(setId => {
+      (data || []).filter(row => (row.guideline_set_id || null) === setId).forEach(row => merged.set(keyOf(row), row));
+    });
+    return [...merged.values()];
+  } catch (err) {
+    logger.warn(`${table} unavailable (non-critical)`, { error: err.message });
+    return [];
+  }
+}
+
+// Extract rules and compile the rule engine once per guidelines version
+function prepareGuidelines(guidelines, guidelineSet = null, { suppressionRules = [], glossaryTerms = [] } = {}) {
+  const guidelinesHash = createGuidelinesHash(guidelines, guidelineSet, { suppressionRules, glossaryTerms });
+
+  let processed = processedGuidelinesCache.get(guidelinesHash);
+  if (processed) {
+    logger.info(`📋 Using cached guidelines: ${processed.allRules.length} rules`);
+  } else {
+    const glossary = compileGlossary(glossaryTerms);
+    const allRules = extractComprehensiveRules(guidelines);
+    processed = {
+      allRules,
+      ruleIndex: createRuleIndex(guidelines, allRules),
+      ruleEngine: compileRuleEngine(guidelines, glossary),
+      suppressionRules: compileSuppressionRules(suppressionRules),
+      glossary,
+      schemaIssues: findGuidelineSchemaIssues(guidelines)
+    };
+    processedGuidelinesCache.set(guidelinesHash, processed);
+    if (processedGuidelinesCache.size > MAX_PROCESSED_GUIDELINE_VERSIONS) {
+      processedGuidelinesCache.delete(processedGuidelinesCache.keys().next().value);
+    }
+    logger.info(`📋 Processed and cached guidelines: ${processed.allRules.length} rules`);
+  }
+
+  return { guidelinesHash, ...processed };
+}
+
+// Rows edited directly in Supabase bypass the guidelines API; surface their
+// schema problems instead of silently degrading lint quality
+function findGuidelineSchemaIssues(guidelines) {
+  const issues = guidelines.flatMap(guideline => {
+    const { id, version, created_at, updated_at, ...fields } = guideline;
+    if (typeof fields.rules === 'string') {
+      try {
+        fields.rules = JSON.parse(fields.rules);
+      } catch {
+        // validateGuideline reports the wrong type
+      }
+    }
+    return validateGuideline(fields, { partial: true }).map(issue => ({ guidelineId: id, ...issue }));
+  });
+
+  if (issues.length > 0) {
+    logger.warn(`⚠️ ${issues.length} guideline schema issues`, { issues: issues.slice(0, 10) });
+  }
+  return issues;
+}
+
+function describeGuidelineSet(guidelineSet, inheritedFrom = []) {
+  if (!guidelineSet) return { id: null, slug: 'global', name: 'Global guidelines', scope: 'global', inheritedFrom };
+  return {
+    id: guidelineSet.id,
+    slug: guidelineSet.slug,
+    name: guidelineSet.name,
+    scope: guidelineSet.scope,
+    inheritedFrom
+  };
+}
+
 // --- HELPER FUNCTIONS ---
 function intelligentPreFilter(textLayers) {
   return textLayers.filter(layer => {
     if (!layer.text || !layer.text.trim()) return false;
     if (typeof layer.text !== 'string') return false;
     return true;
-  });
+  }).map(layer => ({ ...layer, context: normalizeLayerContext(layer) }));
+}
+
+// --- Streaming responses ---
+// Streaming splits the model layers into batches so results arrive as each
+// batch finishes. Each batch is a separate call with the full system prompt,
+// so a streamed request costs about that many times the prompt tokens of an
+// unstreamed one; concurrency caps how many of those calls run at once.
+const STREAM_MODEL_BATCH_SIZE = parseInt(process.env.STREAM_MODEL_BATCH_SIZE || '10', 10);
+const STREAM_MODEL_CONCURRENCY = parseInt(process.env.STREAM_MODEL_CONCURRENCY || '2', 10);
+
+// Streaming is opt-in via `stream: "ndjson" | "sse"` or the Accept header
+function getStreamFormat(req) {
+  const requested = req.body?.stream;
+  if (requested === 'sse' || requested === 'ndjson') return requested;
+  if (requested === true) return 'ndjson';
+
+  const accept = req.headers?.accept || '';
+  if (accept.includes('text/event-stream')) return 'sse';
+  if (accept.includes('application/x-ndjson')) return 'ndjson';
+  return null;
+}
+
+function createStreamWriter(res, format) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', format === 'sse' ? 'text/event-stream' : 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  let closed = false;
+  return {
+    write(frame) {
+      if (closed) return;
+      const payload = JSON.stringify(frame);
+      res.write(format === 'sse' ? `event: ${frame.type}\ndata: ${payload}\n\n` : `${payload}\n`);
+    },
+    end() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    get closed() {
+      return closed;
+    }
+  };
+}
+
+// Prometheus scrape target, reached as /api/metrics through a rewrite. It is
+// served by this function because model and cache metrics are recorded in its
+// instances; another function would only see its own empty counters.
+function sendMetrics(req, res) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(500).json({ success: false, error: 'Metrics disabled (ADMIN_API_KEY missing)' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).send(metrics.render());
 }
 
 // --- MAIN HANDLER ---
-export default async function handler(req, res) {
+async function handler(req, res) {
   const startTime = Date.now();
+  const { traceId } = req;
+  const apiKeyHash = getApiKeyHash(req);
   const HARD_TIMEOUT = 28000;
   const RESPONSE_BUFFER = 1000;
 
+  // Set once a streaming response has started
+  let stream = null;
+
   const globalTimeout = setTimeout(() => {
-    console.error(`🚨 GLOBAL TIMEOUT: ${HARD_TIMEOUT}ms exceeded`);
-    if (!res.headersSent) {
+    logger.error(`🚨 GLOBAL TIMEOUT: ${HARD_TIMEOUT}ms exceeded`);
+    if (stream) {
+      stream.write({ type: 'error', success: false, error: 'Analysis timeout', timeout: true, execution_time_ms: HARD_TIMEOUT, traceId });
+      stream.end();
+    } else if (!res.headersSent) {
       res.status(500).json({
         success: false,
         error: 'Analysis timeout - partial results returned',
         timeout: true,
-        execution_time_ms: HARD_TIMEOUT
+        execution_time_ms: HARD_TIMEOUT,
+        traceId
       });
     }
   }, HARD_TIMEOUT);
@@ -986,11 +3246,28 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
+  if (req.method === 'GET' && req.query?.metrics !== undefined) {
+    clearTimeout(globalTimeout);
+    return sendMetrics(req, res);
+  }
+
   if (req.method === 'GET') {
     clearTimeout(globalTimeout);
     return res.status(200).json({
       status: 'dynamic-guideline-driven-system',
-      model: 'gemini-2.5-flash-lite',
+      model: MODEL_CONFIGS.gemini.model,
+      models: Object.fromEntries(Object.entries(MODEL_CONFIGS).map(([key, config]) => [key, {
+        name: config.name,
+        model: config.model,
+        configured: isModelAvailable(config),
+        selfHosted: Boolean(config.local)
+      }])),
+      fallbackChain: MODEL_FALLBACK_CHAIN,
+      consensus: { models: CONSENSUS_MODELS, strategies: CONSENSUS_STRATEGIES },
+      confidence: { defaultMinConfidence: DEFAULT_MIN_CONFIDENCE, calibratedModels: Object.keys(CONFIDENCE_CALIBRATION) },
+      severityLevels: SEVERITY_LEVELS,
+      modelProviderMode: MODEL_PROVIDER_MODE,
+      cache: cacheStore.stats(),
       version: '8.0',
       features: [
         'dynamic_guideline_processing',
@@ -998,7 +3275,25 @@ export default async function handler(req, res) {
         'scalable_analysis_system',
         'bidirectional_relationship_cache',
         'auto_adapting_prompts',
-        'robust_guidelines_handling'
+        'robust_guidelines_handling',
+        'local_rule_engine',
+        'multi_model_support',
+        'model_fallback_chain',
+        'streaming_results',
+        'team_scoped_guideline_sets',
+        'suggestion_feedback',
+        'suppression_rules',
+        'brand_glossary',
+        'tiered_cache',
+        'request_tracing',
+        'prometheus_metrics',
+        'usage_accounting',
+        'model_record_replay',
+        'self_hosted_models',
+        'unanalysed_layer_reporting',
+        'model_consensus',
+        'calibrated_confidence',
+        'rule_severity'
       ],
       timestamp: new Date().toISOString()
     });
@@ -1010,25 +3305,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { textLayers, clientHints, selectedModel } = req.body || {};
-    const modelToUse = 'gemini';
-
-    console.log(`📊 Using model: ${modelToUse}`);
-
-    // Validate model configuration and API keys
-    const modelConfig = MODEL_CONFIGS[modelToUse];
-    if (!modelConfig) {
-      clearTimeout(globalTimeout);
-      return res.status(400).json({ success: false, error: `Invalid model: ${modelToUse}` });
-    }
-
-    if (!process.env[modelConfig.envKey]) {
-      clearTimeout(globalTimeout);
-      return res.status(500).json({
-        success: false,
-        error: `${modelConfig.name} API key missing (${modelConfig.envKey})`
-      });
-    }
+    const { textLayers, clientHints, selectedModel, guidelineSet: guidelineSetRef, consensus: consensusRequest, minConfidence: minConfidenceRequest, minSeverity: minSeverityRequest } = req.body || {};
 
     // ✅ ENFORCE BATCH-ONLY ARCHITECTURE
     if (!Array.isArray(textLayers) || textLayers.length === 0) {
@@ -1051,165 +3328,164 @@ export default async function handler(req, res) {
       });
     }
 
-    console.log(`📊 Batch request: ${textLayers.length}/${MAX_LAYERS_PER_REQUEST} layers`);
+    let minConfidence;
+    let minSeverity;
+    try {
+      minConfidence = parseMinConfidence(minConfidenceRequest);
+      minSeverity = parseMinSeverity(minSeverityRequest);
+    } catch (err) {
+      clearTimeout(globalTimeout);
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+
+    logger.info(`📊 Batch request: ${textLayers.length}/${MAX_LAYERS_PER_REQUEST} layers`);
 
     const optimizationHint = clientHints?.optimizationHint || 'unknown';
     const totalOriginalLayers = clientHints?.totalLayers || textLayers.length;
     const estimatedCompliant = clientHints?.estimatedCompliant || 0;
     const tier1PreProcessed = clientHints?.tier1PreProcessed || 0;
 
-    console.log(`📊 Dynamic analysis starting: ${textLayers.length}/${totalOriginalLayers} layers (${estimatedCompliant} pre-filtered), ${HARD_TIMEOUT}ms limit`);
+    logger.info(`📊 Dynamic analysis starting: ${textLayers.length}/${totalOriginalLayers} layers (${estimatedCompliant} pre-filtered), ${HARD_TIMEOUT}ms limit`);
 
     // Load guidelines with timeout protection
     let guidelines;
+    let guidelineSet;
+    let inheritedFrom;
+    let loaded;
     try {
-      const guidelinesController = new AbortController();
-      const guidelinesTimeout = setTimeout(() => guidelinesController.abort(), 3000);
-
-      const { data, error } = await supabase
-        .from('guidelines')
-        .select('*')
-        .eq('is_active', true)
-        .order('category')
-        .abortSignal(guidelinesController.signal);
-
-      clearTimeout(guidelinesTimeout);
-
-      if (error || !data?.length) {
-        throw new Error(`Guidelines error: ${error?.message || 'No guidelines'}`);
-      }
-
-      guidelines = data;
-      console.log(`📋 Guidelines loaded: ${guidelines.length} categories`);
-
+      loaded = await loadGuidelines(guidelineSetRef);
+      ({ guidelines, guidelineSet, inheritedFrom } = loaded);
     } catch (err) {
-      console.error('Guidelines fetch failed:', err.message);
+      logger.error('Guidelines fetch failed', { error: err.message });
       clearTimeout(globalTimeout);
-      return res.status(500).json({
+      return res.status(err.status || 500).json({
         success: false,
-        error: 'Guidelines unavailable',
+        error: err.status === 404 ? err.message : 'Guidelines unavailable',
         details: err.message
       });
     }
 
-    const guidelinesHash = createGuidelinesHash(guidelines);
-    let allRules;
-if (cachedGuidelinesHash === guidelinesHash && guidelinesCache) {
-  allRules = guidelinesCache;
-  console.log(`📋 Using cached guidelines: ${allRules.length} rules`);
-} else {
-  allRules = extractComprehensiveRules(guidelines);
-  guidelinesCache = allRules;
-  cachedGuidelinesHash = guidelinesHash;
-  console.log(`📋 Processed and cached guidelines: ${allRules.length} rules`);
-}
+    // The guideline set may pick the model or restrict it to self-hosted ones
+    let modelToUse;
+    let modelConfig;
+    let modelChain;
+    let consensus;
+    try {
+      ({ modelKey: modelToUse, modelConfig, modelChain } = selectModel(selectedModel, loaded.modelPolicy));
+      consensus = selectConsensus(consensusRequest, { modelChain, modelPolicy: loaded.modelPolicy });
+    } catch (err) {
+      clearTimeout(globalTimeout);
+      return res.status(err.status || 500).json({
+        success: false,
+        error: err.message,
+        ...(err.availableModels && { availableModels: err.availableModels })
+      });
+    }
+    logger.info(`🔀 Model chain: ${modelChain.join(' → ')}`, { model: modelToUse, localOnly: loaded.modelPolicy.localOnly });
+    if (consensus) {
+      logger.info(`🤝 Consensus mode: ${consensus.models.join(' + ')} (${consensus.strategy})`);
+    }
+
+    const { guidelinesHash, allRules, ruleIndex, ruleEngine, suppressionRules, glossary, schemaIssues } = prepareGuidelines(guidelines, guidelineSet, loaded);
 
-    console.log(`🔧 Rules extracted: ${allRules.length} rules from ${guidelines.length} guidelines`);
+    logger.info(`🔧 Rules extracted: ${allRules.length} rules from ${guidelines.length} guidelines`);
 
     const filteredLayers = intelligentPreFilter(textLayers);
     const skippedCount = textLayers.length - filteredLayers.length;
 
-    console.log(`🎯 Post-client filtering: ${filteredLayers.length} valid, ${skippedCount} skipped`);
-
-    const results = [];
-    let cacheHits = 0;
-    let relationshipHits = 0;
-    let uncachedLayers = [];
-
-    if (filteredLayers.length > 0) {
-      console.log(`💾 Enhanced cache check with relationships for ${filteredLayers.length} layers...`);
-
-      try {
-        const timeForCache = Math.min(3000, HARD_TIMEOUT - (Date.now() - startTime) - 5000);
-        const { cachedResults, uncachedLayers: uncachedLayersFromCache } = await performOptimizedCacheCheckWithRelationships(filteredLayers, guidelinesHash, timeForCache);
-
-        uncachedLayers = uncachedLayersFromCache;
-        results.push(...cachedResults);
-        cacheHits = cachedResults.length;
-        relationshipHits = cachedResults.filter(r => r.fromRelationshipCache).length;
-
-        console.log(`📊 Enhanced cache results: ${cacheHits} hits (${cachedResults.filter(r => r.preFiltered).length} pre-filtered, ${relationshipHits} relationship-based), ${uncachedLayers.length} layers need Gemini analysis`);
+    logger.info(`🎯 Post-client filtering: ${filteredLayers.length} valid, ${skippedCount} skipped`);
 
-      } catch (err) {
-        console.error('Enhanced cache failed:', err.message);
-        uncachedLayers = filteredLayers.filter(layer => !layer.likelyCompliant);
-      }
-
-      // Only analyze layers that truly need Gemini analysis
-      if (uncachedLayers.length > 0) {
-        const timeRemaining = HARD_TIMEOUT - (Date.now() - startTime) - RESPONSE_BUFFER;
-        if (timeRemaining <= 2000) {
-          console.warn(`⏳ Insufficient time for Gemini analysis: ${timeRemaining}ms`);
-          results.push(...createOptimizedFallback(uncachedLayers, 'insufficient_time', guidelinesHash));
-        } else {
-          try {
-            // ✅ SIMPLIFIED: No internal batching needed anymore
-            // Single Gemini call handles ≤25 layers easily
-            const geminiResults = await analyzeWithModel(
-              uncachedLayers,
-              guidelines,
-              guidelinesHash,
-              modelToUse,
-              timeRemaining - 1000
-            );
-
-            // Cache and store relationships
-            await cacheCorrectionsAsCompliantWithRelationships(geminiResults, guidelinesHash);
-            results.push(...geminiResults);
+    const streamFormat = getStreamFormat(req);
+    if (streamFormat) {
+      stream = createStreamWriter(res, streamFormat);
+      stream.write({ type: 'start', totalLayers: textLayers.length, guidelinesVersion: guidelinesHash, traceId });
+      logger.info(`📡 Streaming results as ${streamFormat}`);
+    }
 
-      } catch (err) {
-        console.error(`${modelConfig.name} analysis failed:`, err.message);
-        clearTimeout(globalTimeout);
-        return res.status(503).json({
-          success: false,
-          error: `AI analysis unavailable: ${err.message}`,
-          errorType: 'model_failure'
-        });
-      }
-        }
+    let pipeline;
+    try {
+      pipeline = await runAnalysisPipeline(filteredLayers, {
+        guidelines,
+        guidelineSet,
+        guidelinesHash,
+        ruleEngine,
+        ruleIndex,
+        suppressionRules,
+        glossary,
+        modelChain,
+        consensus,
+        minConfidence,
+        minSeverity,
+        deadline: startTime + HARD_TIMEOUT - RESPONSE_BUFFER,
+        modelBatchSize: stream ? STREAM_MODEL_BATCH_SIZE : undefined,
+        modelConcurrency: stream ? STREAM_MODEL_CONCURRENCY : undefined,
+        onResults: stream
+          ? (stage, stageResults, meta) => stream.write({ type: 'results', stage, ...meta, results: stageResults })
+          : undefined
+      });
+    } catch (err) {
+      logger.error(`${modelConfig.name} analysis failed`, { error: err.message });
+      clearTimeout(globalTimeout);
+      // Failed attempts that got a response were still billed
+      await storeUsage(err.usage, { guidelineSet, apiKeyHash, endpoint: 'analyze', layers: filteredLayers.length });
+      const failure = {
+        success: false,
+        error: `AI analysis unavailable: ${err.message}`,
+        errorType: 'model_failure',
+        modelChain,
+        fallbacks: err.fallbacks || [],
+        usage: err.usage || null,
+        traceId
+      };
+      if (stream) {
+        stream.write({ type: 'error', ...failure });
+        return stream.end();
       }
+      return res.status(503).json(failure);
     }
 
+    const { results, cacheHits, relationshipHits, modelUsed } = pipeline;
+    const modelFallbacks = pipeline.fallbacks;
+    await storeUsage(pipeline.usage, { guidelineSet, apiKeyHash, endpoint: 'analyze', layers: filteredLayers.length });
+    const resolvedLocallyCount = pipeline.resolvedLocally;
+
     // Sort results to match original order
-    results.sort((a, b) => textLayers.findIndex(l => l.id === a.id) - textLayers.findIndex(l => l.id === b.id));
+    const layerOrder = new Map(textLayers.map((layer, index) => [layer.id, index]));
+    results.sort((a, b) => (layerOrder.get(a.id) ?? Infinity) - (layerOrder.get(b.id) ?? Infinity));
 
-    const preFilteredCount = results.filter(r => r.preFiltered).length;
-    const geminiAnalyzedCount = uncachedLayers.length;
+    const preFilteredCount = pipeline.preFiltered;
+    const geminiAnalyzedCount = pipeline.modelAnalyzed;
 
-    // Debug logging for false positives analysis
-    if (process.env.DEBUG_ANALYSIS) {
-      const fpCandidates = results.filter(r =>
-        r.violations.some(v =>
-          /date|time|please|Mon|Tue|Wed|Thu|Fri|Sat|Sun|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Oct|Nov|Dec/.test(v.ruleDescription || '') &&
-          !r.correctedText.includes(v.suggested) // self-corrected?
-        )
-      );
-      if (fpCandidates.length > 0) {
-        console.warn(`⚠️ Potential false positives detected:`, fpCandidates.map(r => ({
-          id: r.id,
-          original: r.originalText,
-          violations: r.violations.map(v => ({
-            original: v.original,
-            suggested: v.suggested,
-            rule: v.ruleDescription
-          }))
-        })));
-      }
+    // Debug output lists every violation a suppression rule removed
+    const debugRequested = Boolean(process.env.DEBUG_ANALYSIS || req.body?.debug);
+    if (process.env.DEBUG_ANALYSIS && pipeline.suppressed.length > 0) {
+      logger.warn(`🔇 ${pipeline.suppressed.length} violations suppressed`, { suppressed: pipeline.suppressed });
     }
 
     // Enhanced response with guidelines information
     const categoriesProcessed = [...new Set(guidelines.map(g => g.category))];
 
-    clearTimeout(globalTimeout);
-    res.status(200).json({
-      success: true,
-      results: results,
+    const summary = {
+      traceId,
       guidelines_info: {
         totalGuidelines: guidelines.length,
         categoriesProcessed: categoriesProcessed,
         rulesExtracted: allRules.length,
-        guidelinesVersion: guidelinesHash
+        guidelinesVersion: guidelinesHash,
+        guidelineSet: describeGuidelineSet(guidelineSet, inheritedFrom),
+        schemaIssues: schemaIssues.length
+      },
+      model_info: {
+        requested: modelToUse,
+        used: modelUsed,
+        chain: modelChain,
+        fallbacks: modelFallbacks,
+        consensus: pipeline.consensus,
+        // Results the model returned for layers it was never sent; discarded
+        unknownLayerIds: pipeline.unknownLayerIds
       },
+      // Layers with a fallback result instead of an analysis, and why
+      unanalysedLayers: pipeline.unanalysed,
       optimization: {
         totalOriginalLayers,
         clientPreFiltered: totalOriginalLayers - textLayers.length,
@@ -1217,6 +3493,7 @@ if (cachedGuidelinesHash === guidelinesHash && guidelinesCache) {
         preCompliantResults: preFilteredCount,
         cacheHits: cacheHits - preFilteredCount,
         relationshipHits: relationshipHits,
+        resolvedLocally: resolvedLocallyCount,
         geminiAnalyzed: geminiAnalyzedCount,
         skippedAnalysis: textLayers.length - geminiAnalyzedCount,
         optimizationRatio: Math.round(((totalOriginalLayers - geminiAnalyzedCount) / totalOriginalLayers) * 100)
@@ -1225,19 +3502,99 @@ if (cachedGuidelinesHash === guidelinesHash && guidelinesCache) {
         totalLayers: textLayers.length,
         filteredLayers: filteredLayers.length,
         analyzedLayers: geminiAnalyzedCount,
+        unanalysedLayers: pipeline.unanalysed.length,
+        minConfidence,
+        minSeverity,
+        suggestions: results.reduce((sum, r) => sum + (r.suggestions?.length || 0), 0),
         cacheHits: cacheHits,
         relationshipHits: relationshipHits,
+        revertsDetected: pipeline.reverts,
+        ruleEngineResolved: resolvedLocallyCount,
+        suppressedByRules: pipeline.suppressed.length,
+        suppressedByFeedback: pipeline.suppressedByFeedback,
+        usage: pipeline.usage,
         executionTimeMs: Date.now() - startTime
-      }
+      },
+      ...(debugRequested && {
+        debug: {
+          suppressionRules: suppressionRules.map(rule => rule.name),
+          suppressed: pipeline.suppressed
+        }
+      })
+    };
+
+    clearTimeout(globalTimeout);
+
+    if (stream) {
+      stream.write({ type: 'summary', success: true, ...summary });
+      return stream.end();
+    }
+
+    res.status(200).json({
+      success: true,
+      results: results,
+      ...summary
     });
 
   } catch (error) {
-    console.error('Fatal error in handler:', error);
+    logger.error('Fatal error in handler', error);
     clearTimeout(globalTimeout);
+    if (stream) {
+      stream.write({ type: 'error', success: false, error: 'Internal Server Error', details: error.message, traceId });
+      return stream.end();
+    }
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      details: error.message
+      details: error.message,
+      traceId
     });
   }
 }
+
+export default instrumentHandler('analyze', handler);
+
+// Shared with the other API routes
+export {
+  supabase,
+  cacheStore,
+  TextUtils,
+  MODEL_CONFIGS,
+  OPTIMAL_BATCH_SIZE,
+  logger,
+  instrumentHandler,
+  setCorsHeaders,
+  isAdminRequest,
+  buildModelChain,
+  selectModel,
+  selectConsensus,
+  parseMinConfidence,
+  parseMinSeverity,
+  isModelAvailable,
+  registerMockModel,
+  loadGuidelines,
+  findGuidelineSchemaIssues,
+  compilePattern,
+  compileRuleEngine,
+  evaluateLayerWithRuleEngine,
+  compileSuppressionRules,
+  applySuppressionRules,
+  prepareGuidelines,
+  intelligentPreFilter,
+  analyzeInBatches,
+  runAnalysisPipeline,
+  createOptimizedFallback,
+  listUnanalysedLayers,
+  createUsage,
+  mergeUsage,
+  getApiKeyHash,
+  storeUsage,
+  createTextFingerprint,
+  storeTextRelationship,
+  resolveCorrectionChain,
+  getFeedbackScope,
+  getFeedbackRuleKey,
+  createFeedbackKey,
+  resolveViolationSpans,
+  buildCorrectedText
+};
@@ -0,0 +1,136 @@
+import {
+  supabase,
+  logger,
+  instrumentHandler,
+  cacheStore,
+  setCorsHeaders,
+  isAdminRequest,
+  loadGuidelines,
+  prepareGuidelines,
+  createTextFingerprint
+} from './analyze.js';
+
+// Guidelines hashes in use right now: one per guideline set, plus whatever an
+// analysis without a set resolves to. Anything else in the cache is stale.
+async function getCurrentGuidelineVersions() {
+  const { data: sets, error } = await supabase.from('guideline_sets').select('id');
+  if (error) {
+    throw new Error(`Guideline sets error: ${error.message}`);
+  }
+
+  const refs = [null, ...(sets || []).map(set => set.id)];
+  const versions = await Promise.all(refs.map(async ref => {
+    try {
+      const loaded = await loadGuidelines(ref);
+      return prepareGuidelines(loaded.guidelines, loaded.guidelineSet, loaded).guidelinesHash;
+    } catch (err) {
+      // A set without guidelines has nothing cached; any other failure must
+      // not make a live version look stale
+      if (err.reason === 'no_guidelines') return null;
+      throw err;
+    }
+  }));
+
+  return [...new Set(versions.filter(Boolean))];
+}
+
+// --- HANDLER ---
+async function handler(req, res) {
+  setCorsHeaders(res, 'GET, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(500).json({ success: false, error: 'Cache API disabled (ADMIN_API_KEY missing)' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { startedAt, versions } = await cacheStore.versionStats();
+
+      let currentVersions = null;
+      try {
+        currentVersions = await getCurrentGuidelineVersions();
+      } catch (err) {
+        logger.warn('Current guideline versions unavailable', { error: err.message });
+      }
+
+      return res.status(200).json({
+        success: true,
+        cache: cacheStore.stats(),
+        hitsSince: startedAt,
+        currentVersions,
+        versions: versions
+          .map(version => ({
+            ...version,
+            current: currentVersions ? currentVersions.includes(version.guidelinesVersion) : null
+          }))
+          .sort((a, b) => b.entries - a.entries)
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const { text, version, stale } = req.query || {};
+
+      // One text, e.g. a wrong cached answer: its entries and relationship edges
+      if (text) {
+        const deleted = await cacheStore.invalidateText(createTextFingerprint(text), { guidelinesVersion: version });
+        logger.info(`🧹 Invalidated cache for "${text}"${version ? ` (${version})` : ''}: ${deleted.analyses} entries, ${deleted.relationships} relationships`);
+        return res.status(200).json({ success: true, deleted });
+      }
+
+      if (version) {
+        const versions = version.split(',').map(v => v.trim()).filter(Boolean);
+        if (versions.length === 0) {
+          return res.status(400).json({ success: false, error: 'version must name at least one guidelines version' });
+        }
+        const deleted = await cacheStore.purgeVersions({ versions });
+        logger.info(`🧹 Purged cache versions ${versions.join(', ')}: ${deleted.analyses} entries, ${deleted.relationships} relationships`);
+        return res.status(200).json({ success: true, versions, deleted });
+      }
+
+      if (stale === 'true') {
+        let currentVersions;
+        try {
+          currentVersions = await getCurrentGuidelineVersions();
+        } catch (err) {
+          return res.status(503).json({
+            success: false,
+            error: 'Cannot determine current guideline versions, nothing purged',
+            details: err.message
+          });
+        }
+
+        // Without a single current version a stale purge would empty the cache
+        if (currentVersions.length === 0) {
+          return res.status(409).json({
+            success: false,
+            error: 'No current guideline versions found, nothing purged',
+            details: 'Purge versions explicitly with ?version=<guidelinesVersion>'
+          });
+        }
+
+        const deleted = await cacheStore.purgeVersions({ exceptVersions: currentVersions });
+        logger.info(`🧹 Purged stale cache (kept ${currentVersions.length} versions): ${deleted.analyses} entries, ${deleted.relationships} relationships`);
+        return res.status(200).json({ success: true, keptVersions: currentVersions, deleted });
+      }
+
+      return res.status(400).json({
+        success: false,
+        error: 'Specify ?text=<text>, ?version=<guidelinesVersion> or ?stale=true'
+      });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    logger.error('💥 Cache API error', error);
+    return res.status(500).json({ success: false, error: 'Cache request failed', details: error.message });
+  }
+}
+
+export default instrumentHandler('cache', handler);
@@ -0,0 +1,258 @@
+import {
+  supabase,
+  cacheStore,
+  logger,
+  instrumentHandler,
+  setCorsHeaders,
+  isAdminRequest,
+  loadGuidelines,
+  prepareGuidelines,
+  createTextFingerprint,
+  getFeedbackScope,
+  getFeedbackRuleKey,
+  createFeedbackKey,
+  resolveViolationSpans,
+  buildCorrectedText
+} from './analyze.js';
+import { buildCalibration } from '../lib/calibration.js';
+
+// Designer verdicts on individual suggestions. Rejections suppress the same
+// finding on the same text in later analyses; accepting or typing the server's
+// full correction confirms its text relationship.
+const FEEDBACK_ACTIONS = ['accept', 'reject', 'edit'];
+const MAX_FEEDBACK_ITEMS = 100;
+const DEFAULT_STATS_WINDOW_DAYS = 30;
+
+function validateFeedbackItem(item, index) {
+  const path = `items[${index}]`;
+  const errors = [];
+
+  if (!item || typeof item !== 'object') {
+    return [{ path, message: 'Expected a feedback object' }];
+  }
+  if (!FEEDBACK_ACTIONS.includes(item.action)) {
+    errors.push({ path: `${path}.action`, message: `Expected one of: ${FEEDBACK_ACTIONS.join(', ')}` });
+  }
+  if (typeof item.originalText !== 'string' || !item.originalText.trim()) {
+    errors.push({ path: `${path}.originalText`, message: 'Required' });
+  }
+  if (!item.violation || typeof item.violation.original !== 'string' || !item.violation.original) {
+    errors.push({ path: `${path}.violation.original`, message: 'Required' });
+  } else if (item.action === 'accept' && typeof item.violation.suggested !== 'string') {
+    errors.push({ path: `${path}.violation.suggested`, message: 'Required when accepting a suggestion' });
+  }
+  if (item.action === 'edit' && (typeof item.editedText !== 'string' || !item.editedText.trim())) {
+    errors.push({ path: `${path}.editedText`, message: 'Required when action is "edit"' });
+  }
+
+  return errors;
+}
+
+// The text the designer ended up with, or null for rejections
+function resolveFinalText(item) {
+  if (item.action === 'edit') return item.editedText;
+  if (item.action !== 'accept') return null;
+
+  const spans = resolveViolationSpans(item.originalText, [item.violation]);
+  return spans.length > 0 ? buildCorrectedText(item.originalText, spans) : null;
+}
+
+/**
+ * The server's own full correction of `originalText` under this guidelines
+ * version, if `finalText` is it. Accepting one finding of several, or an edit
+ * nobody analysed, says nothing about the rest of the text, so only this edge
+ * may mark the result as compliant.
+ */
+async function findServerCorrection(originalText, finalText, guidelinesVersion) {
+  const originalFingerprint = createTextFingerprint(originalText);
+  const correctedFingerprint = createTextFingerprint(finalText);
+  const edges = await cacheStore.findEdges({ fingerprint: originalFingerprint }, guidelinesVersion);
+  return edges.find(edge =>
+    edge.originalFingerprint === originalFingerprint &&
+    edge.correctedFingerprint === correctedFingerprint &&
+    edge.originalViolations.length > 0
+  ) || null;
+}
+
+function toFeedbackRow(item, { scope, guidelinesVersion }) {
+  const { violation } = item;
+  return {
+    scope,
+    guidelines_version: guidelinesVersion,
+    layer_id: item.layerId ? String(item.layerId) : null,
+    text_fingerprint: createTextFingerprint(item.originalText),
+    feedback_key: createFeedbackKey(item.originalText, violation),
+    rule_key: getFeedbackRuleKey(violation),
+    rule_category: violation.ruleCategory || null,
+    rule_description: violation.ruleDescription || null,
+    original: violation.original,
+    suggested: typeof violation.suggested === 'string' ? violation.suggested : null,
+    action: item.action,
+    final_text: resolveFinalText(item),
+    // The model's uncalibrated confidence, so feedback can calibrate it
+    model: typeof violation.model === 'string' ? violation.model : null,
+    confidence: Number.isFinite(violation.rawConfidence) ? violation.rawConfidence : null
+  };
+}
+
+async function getFeedbackStats({ scope, since }) {
+  let query = supabase
+    .from('violation_feedback')
+    .select('rule_key, rule_category, action')
+    .gte('created_at', since);
+
+  if (scope) {
+    query = query.eq('scope', scope);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Feedback error: ${error.message}`);
+  }
+
+  const byRule = new Map();
+  (data || []).forEach(row => {
+    if (!byRule.has(row.rule_key)) {
+      byRule.set(row.rule_key, { ruleKey: row.rule_key, ruleCategory: row.rule_category, accept: 0, reject: 0, edit: 0 });
+    }
+    byRule.get(row.rule_key)[row.action]++;
+  });
+
+  return [...byRule.values()]
+    .map(stats => {
+      const total = stats.accept + stats.reject + stats.edit;
+      return { ...stats, total, rejectRate: total > 0 ? Math.round((stats.reject / total) * 1000) / 1000 : 0 };
+    })
+    .sort((a, b) => b.rejectRate - a.rejectRate || b.total - a.total);
+}
+
+// Accepted and edited findings were right, rejected ones were not
+async function getCalibrationFromFeedback({ scope, since }) {
+  let query = supabase
+    .from('violation_feedback')
+    .select('model, confidence, action')
+    .gte('created_at', since)
+    .not('confidence', 'is', null);
+
+  if (scope) {
+    query = query.eq('scope', scope);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Feedback error: ${error.message}`);
+  }
+
+  const samples = (data || []).map(row => ({ model: row.model, confidence: row.confidence, correct: row.action !== 'reject' }));
+  return { samples: samples.length, calibration: buildCalibration(samples) };
+}
+
+// --- HANDLER ---
+async function handler(req, res) {
+  setCorsHeaders(res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'POST') {
+      const { items, guidelineSet: guidelineSetRef } = req.body || {};
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ success: false, error: 'Feedback items required' });
+      }
+      if (items.length > MAX_FEEDBACK_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          error: `Too many feedback items. Max ${MAX_FEEDBACK_ITEMS} per request.`
+        });
+      }
+
+      const errors = items.flatMap(validateFeedbackItem);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid feedback', details: errors });
+      }
+
+      // Resolved the same way as /api/analyze, so an omitted set means the
+      // default set. The version is the server's current one, never the client's.
+      let guidelineSet;
+      let guidelinesVersion;
+      try {
+        const loaded = await loadGuidelines(guidelineSetRef);
+        guidelineSet = loaded.guidelineSet;
+        guidelinesVersion = prepareGuidelines(loaded.guidelines, loaded.guidelineSet, loaded).guidelinesHash;
+      } catch (err) {
+        return res.status(err.status || 500).json({
+          success: false,
+          error: err.status === 404 ? err.message : 'Guidelines unavailable',
+          details: err.message
+        });
+      }
+
+      const scope = getFeedbackScope(guidelineSet);
+      const rows = items.map(item => toFeedbackRow(item, { scope, guidelinesVersion }));
+
+      const { error } = await supabase.from('violation_feedback').insert(rows);
+      if (error) {
+        return res.status(500).json({ success: false, error: 'Feedback storage failed', details: error.message });
+      }
+
+      // Re-storing a confirmed correction makes it the newest edge, so the text
+      // counts as corrected again even if it was reverted in between
+      const confirmed = (await Promise.all(items.map((item, index) => {
+        const finalText = rows[index].final_text;
+        return finalText && finalText !== item.originalText
+          ? findServerCorrection(item.originalText, finalText, guidelinesVersion)
+          : null;
+      }))).filter(Boolean);
+      await Promise.all(confirmed.map(({ createdAt, ...edge }) => cacheStore.setRelationship({ ...edge, guidelinesVersion })));
+
+      const counts = Object.fromEntries(FEEDBACK_ACTIONS.map(action => [action, rows.filter(row => row.action === action).length]));
+      logger.info(`🗳️ Feedback stored (${scope}): ${counts.accept} accepted, ${counts.reject} rejected, ${counts.edit} edited`);
+
+      return res.status(201).json({ success: true, stored: rows.length, counts, guidelinesVersion, relationshipsConfirmed: confirmed.length });
+    }
+
+    if (req.method === 'GET') {
+      // Reject rates show which rules are noisy, which is an admin concern
+      if (!process.env.ADMIN_API_KEY) {
+        return res.status(500).json({ success: false, error: 'Feedback stats disabled (ADMIN_API_KEY missing)' });
+      }
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+      }
+
+      const days = parseInt(req.query?.days || String(DEFAULT_STATS_WINDOW_DAYS), 10);
+      if (!Number.isFinite(days) || days <= 0) {
+        return res.status(400).json({ success: false, error: 'days must be a positive integer' });
+      }
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+      let scope = req.query?.set === 'global' ? 'global' : null;
+      if (req.query?.set && !scope) {
+        try {
+          const { guidelineSet } = await loadGuidelines(req.query.set);
+          scope = getFeedbackScope(guidelineSet);
+        } catch (err) {
+          return res.status(err.status || 500).json({ success: false, error: err.message });
+        }
+      }
+
+      if (req.query?.view === 'calibration') {
+        const { samples, calibration } = await getCalibrationFromFeedback({ scope, since });
+        return res.status(200).json({ success: true, since, scope: scope || 'all', samples, calibration });
+      }
+
+      const rules = await getFeedbackStats({ scope, since });
+      return res.status(200).json({ success: true, since, scope: scope || 'all', rules });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (error) {
+    logger.error('💥 Feedback API error', error);
+    return res.status(500).json({ success: false, error: 'Feedback request failed', details: error.message });
+  }
+}
+
+export default instrumentHandler('feedback', handler);
@@ -0,0 +1,220 @@
+import { supabase, logger, instrumentHandler, setCorsHeaders, isAdminRequest, findGuidelineSchemaIssues } from './analyze.js';
+import { GUIDELINE_SCHEMA, validateGuideline } from '../lib/guideline-schema.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const EDITABLE_FIELDS = ['category', 'title', 'description', 'severity', 'rules', 'examples', 'is_active', 'guideline_set_id'];
+
+// Every write bumps the version so the guidelines hash (and every cache keyed
+// on it) moves on. Numeric and dotted versions keep their shape.
+function bumpVersion(version) {
+  const current = String(version ?? '').trim();
+  if (/^\d+$/.test(current)) return String(parseInt(current, 10) + 1);
+
+  const dotted = current.match(/^(\d+(?:\.\d+)*)\.(\d+)$/);
+  if (dotted) return `${dotted[1]}.${parseInt(dotted[2], 10) + 1}`;
+
+  return '1';
+}
+
+// `rules` and `examples` may arrive as JSON strings (as stored by older rows)
+function parseJsonFields(body) {
+  const parsed = { ...body };
+  const errors = [];
+
+  ['rules', 'examples'].forEach(field => {
+    if (typeof parsed[field] !== 'string') return;
+    try {
+      parsed[field] = JSON.parse(parsed[field]);
+    } catch (err) {
+      errors.push({ path: `$.${field}`, message: `Invalid JSON: ${err.message}` });
+    }
+  });
+
+  return { parsed, errors };
+}
+
+function pickEditable(body) {
+  return Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+}
+
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid guideline',
+    details: errors,
+    schema: '/api/guidelines?schema=1'
+  });
+}
+
+async function getGuideline(id) {
+  const { data, error } = await supabase
+    .from('guidelines')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+}
+
+async function listGuidelines({ set, includeInactive }) {
+  let query = supabase.from('guidelines').select('*');
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+  if (set === 'global') {
+    query = query.is('guideline_set_id', null);
+  } else if (set) {
+    const { data: sets, error } = await supabase
+      .from('guideline_sets')
+      .select('id')
+      .eq(UUID_PATTERN.test(set) ? 'id' : 'slug', set)
+      .limit(1);
+    if (error) throw new Error(`Guideline sets error: ${error.message}`);
+    if (!sets?.length) return null;
+    query = query.eq('guideline_set_id', sets[0].id);
+  }
+
+  const { data, error } = await query.order('category').order('title');
+  if (error) {
+    throw new Error(`Guidelines error: ${error.message}`);
+  }
+  return data || [];
+}
+
+// --- HANDLER ---
+async function handler(req, res) {
+  setCorsHeaders(res, 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // The schema is public so guideline authors can validate in their editor
+  if (req.method === 'GET' && req.query?.schema !== undefined) {
+    return res.status(200).json(GUIDELINE_SCHEMA);
+  }
+
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(500).json({ success: false, error: 'Guidelines API disabled (ADMIN_API_KEY missing)' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const id = req.query?.id;
+
+  try {
+    if (req.method === 'GET') {
+      if (id) {
+        const guideline = await getGuideline(id);
+        if (!guideline) {
+          return res.status(404).json({ success: false, error: `Guideline not found: ${id}` });
+        }
+        return res.status(200).json({ success: true, guideline, schemaIssues: findGuidelineSchemaIssues([guideline]) });
+      }
+
+      const guidelines = await listGuidelines({
+        set: req.query?.set,
+        includeInactive: req.query?.includeInactive === 'true'
+      });
+      if (!guidelines) {
+        return res.status(404).json({ success: false, error: `Unknown guideline set: ${req.query.set}` });
+      }
+      // Stored rows can predate the validator (or be edited in Supabase); list
+      // what is wrong with them, e.g. a pattern that is matched literally
+      return res.status(200).json({
+        success: true,
+        count: guidelines.length,
+        guidelines,
+        schemaIssues: findGuidelineSchemaIssues(guidelines)
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { parsed, errors: parseErrors } = parseJsonFields(req.body || {});
+      const errors = [...parseErrors, ...(parseErrors.length ? [] : validateGuideline(parsed))];
+      if (errors.length > 0) return sendValidationError(res, errors);
+
+      const { data, error } = await supabase
+        .from('guidelines')
+        .insert({ ...pickEditable(parsed), version: '1' })
+        .select()
+        .single();
+
+      if (error) {
+        return res.status(400).json({ success: false, error: 'Guideline creation failed', details: error.message });
+      }
+
+      logger.info(`📝 Guideline created: ${data.id} (${data.category} / ${data.title})`);
+      return res.status(201).json({ success: true, guideline: data });
+    }
+
+    if (req.method === 'PUT' || req.method === 'PATCH' || req.method === 'DELETE') {
+      if (!id) {
+        return res.status(400).json({ success: false, error: 'Guideline id required (?id=...)' });
+      }
+
+      const existing = await getGuideline(id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: `Guideline not found: ${id}` });
+      }
+
+      let changes;
+      if (req.method === 'DELETE') {
+        // Soft delete keeps the row for history and relationship lookups
+        changes = { is_active: false };
+      } else {
+        const { parsed, errors: parseErrors } = parseJsonFields(req.body || {});
+        const errors = [
+          ...parseErrors,
+          ...(parseErrors.length ? [] : validateGuideline(parsed, { partial: req.method === 'PATCH' }))
+        ];
+        if (errors.length > 0) return sendValidationError(res, errors);
+        changes = pickEditable(parsed);
+        if (req.method === 'PUT') {
+          // PUT replaces the guideline: optional fields left out are cleared
+          changes = { description: null, severity: null, examples: null, ...changes };
+        }
+      }
+
+      let update = supabase
+        .from('guidelines')
+        .update({
+          ...changes,
+          version: bumpVersion(existing.version),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id);
+      update = existing.version === null ? update.is('version', null) : update.eq('version', existing.version);
+
+      const { data, error } = await update.select().single();
+
+      if (error || !data) {
+        // The version check failed: someone else saved in between
+        return res.status(409).json({
+          success: false,
+          error: 'Guideline was modified concurrently, reload and retry',
+          details: error?.message
+        });
+      }
+
+      logger.info(`📝 Guideline ${req.method === 'DELETE' ? 'deactivated' : 'updated'}: ${id} v${existing.version} → v${data.version}`);
+      return res.status(200).json({ success: true, guideline: data });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    logger.error('Fatal error in guidelines handler', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      details: error.message
+    });
+  }
+}
+
+export default instrumentHandler('guidelines', handler);
@@ -0,0 +1,431 @@
+import {
+  supabase,
+  logger,
+  instrumentHandler,
+  OPTIMAL_BATCH_SIZE,
+  setCorsHeaders,
+  selectModel,
+  selectConsensus,
+  parseMinConfidence,
+  parseMinSeverity,
+  loadGuidelines,
+  prepareGuidelines,
+  intelligentPreFilter,
+  analyzeInBatches,
+  createOptimizedFallback,
+  listUnanalysedLayers,
+  createUsage,
+  mergeUsage,
+  getApiKeyHash,
+  storeUsage
+} from './analyze.js';
+
+// Whole-file audits: layers are stored as chunks and analyzed a few at a time
+// on every submit/poll, so no single invocation exceeds the Vercel limit
+const MAX_LAYERS_PER_JOB = 2000;
+const MAX_CHUNK_ATTEMPTS = 3;
+const CHUNK_LEASE_MS = 30000;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '3', 10);
+
+const HARD_TIMEOUT = 28000;
+const RESPONSE_BUFFER = 2000;
+
+// --- Job storage ---
+async function createJob(layers, { selectedModel, consensus, minConfidence, minSeverity, clientHints, guidelineSet, guidelinesHash }) {
+  const chunks = [];
+  for (let i = 0; i < layers.length; i += OPTIMAL_BATCH_SIZE) {
+    chunks.push(layers.slice(i, i + OPTIMAL_BATCH_SIZE));
+  }
+
+  const { data: job, error } = await supabase
+    .from('analysis_jobs')
+    .insert({
+      status: 'pending',
+      selected_model: selectedModel,
+      consensus: consensus || null,
+      min_confidence: minConfidence,
+      min_severity: minSeverity,
+      guideline_set_id: guidelineSet?.id || null,
+      client_hints: clientHints || null,
+      guidelines_version: guidelinesHash,
+      layer_order: layers.map(layer => layer.id),
+      total_layers: layers.length,
+      total_chunks: chunks.length
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Job creation failed: ${error.message}`);
+  }
+
+  const { error: chunkError } = await supabase
+    .from('analysis_job_chunks')
+    .insert(chunks.map((chunk, index) => ({
+      job_id: job.id,
+      chunk_index: index,
+      layers: chunk.map(layer => ({
+        id: layer.id,
+        text: layer.text,
+        likelyCompliant: layer.likelyCompliant,
+        context: layer.context
+      })),
+      status: 'pending',
+      attempts: 0
+    })));
+
+  if (chunkError) {
+    await supabase.from('analysis_jobs').delete().eq('id', job.id);
+    throw new Error(`Job chunk creation failed: ${chunkError.message}`);
+  }
+
+  logger.info(`🗂️ Job ${job.id} created: ${layers.length} layers in ${chunks.length} chunks`);
+  return job;
+}
+
+async function getJob(jobId) {
+  const { data, error } = await supabase
+    .from('analysis_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+}
+
+async function getJobChunks(jobId) {
+  const { data, error } = await supabase
+    .from('analysis_job_chunks')
+    .select('*')
+    .eq('job_id', jobId)
+    .order('chunk_index');
+
+  if (error) {
+    throw new Error(`Job chunks unavailable: ${error.message}`);
+  }
+  return data || [];
+}
+
+function isChunkRunnable(chunk, now = Date.now()) {
+  if (chunk.status === 'pending') return true;
+  // A running chunk whose lease expired belongs to an invocation that died
+  return chunk.status === 'running' && new Date(chunk.lease_expires_at).getTime() < now;
+}
+
+// Compare-and-set on attempts so concurrent polls never process the same chunk
+async function claimChunk(chunk) {
+  const { data, error } = await supabase
+    .from('analysis_job_chunks')
+    .update({
+      status: 'running',
+      attempts: chunk.attempts + 1,
+      lease_expires_at: new Date(Date.now() + CHUNK_LEASE_MS).toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', chunk.id)
+    .eq('attempts', chunk.attempts)
+    .in('status', ['pending', 'running'])
+    .select('id');
+
+  if (error) {
+    logger.warn(`Chunk ${chunk.chunk_index} claim failed`, { error: error.message });
+    return false;
+  }
+  return data?.length === 1;
+}
+
+async function updateChunk(chunkId, fields) {
+  const { error } = await supabase
+    .from('analysis_job_chunks')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', chunkId);
+
+  if (error) {
+    logger.error(`Chunk ${chunkId} update failed`, { error: error.message });
+  }
+}
+
+// --- Job processing ---
+
+/**
+ * Analyze as many runnable chunks as fit before `deadline`. Failed chunks go
+ * back to pending until MAX_CHUNK_ATTEMPTS, then resolve to fallback results so
+ * the job can still finish. Model usage is kept per chunk and accounted once
+ * per poll.
+ */
+async function processJobChunks(job, deadline, { apiKeyHash = null } = {}) {
+  const chunks = await getJobChunks(job.id);
+  const runnable = chunks.filter(chunk => isChunkRunnable(chunk));
+
+  if (runnable.length === 0) return chunks;
+
+  const loaded = await loadGuidelines(job.guideline_set_id);
+  const { guidelines, guidelineSet } = loaded;
+  const { guidelinesHash, ruleEngine, ruleIndex, suppressionRules, glossary } = prepareGuidelines(guidelines, guidelineSet, loaded);
+  // Re-checked on every poll, so a set marked local-only since submission stops hosted calls
+  const { modelChain } = selectModel(job.selected_model, loaded.modelPolicy);
+  const consensus = selectConsensus(job.consensus, { modelChain, modelPolicy: loaded.modelPolicy });
+
+  if (guidelinesHash !== job.guidelines_version) {
+    logger.warn(`⚠️ Job ${job.id} guidelines changed since submission: ${job.guidelines_version} → ${guidelinesHash}`);
+  }
+
+  const outcomes = await analyzeInBatches(
+    runnable.map(chunk => chunk.layers),
+    {
+      guidelines,
+      guidelineSet,
+      guidelinesHash,
+      ruleEngine,
+      ruleIndex,
+      suppressionRules,
+      glossary,
+      modelChain,
+      consensus,
+      // Jobs created before the column existed use the server default
+      minConfidence: parseMinConfidence(job.min_confidence),
+      minSeverity: parseMinSeverity(job.min_severity)
+    },
+    {
+      concurrency: JOB_CONCURRENCY,
+      deadline,
+      onBatchStart: (batch, index) => claimChunk(runnable[index])
+    }
+  );
+
+  await Promise.all(outcomes.map(async (outcome, index) => {
+    const chunk = runnable[index];
+    const attempts = chunk.attempts + 1;
+    // Layers left with a fallback (out of time, chain cut short, failed
+    // sub-batch) are not final: the chunk is retried like a failed one
+    const incomplete = outcome.status === 'completed' && outcome.unanalysed.length > 0;
+
+    if (outcome.status === 'completed' && !incomplete) {
+      await updateChunk(chunk.id, {
+        status: 'completed',
+        attempts,
+        results: outcome.results,
+        model_used: outcome.modelUsed,
+        usage: mergeUsage(mergeUsage(createUsage(), chunk.usage), outcome.usage),
+        guidelines_version: guidelinesHash,
+        error: null,
+        lease_expires_at: null
+      });
+    } else if (outcome.status === 'failed' || incomplete) {
+      const exhausted = attempts >= MAX_CHUNK_ATTEMPTS;
+      // The last attempt keeps whatever it did analyse
+      const finalResults = incomplete ? outcome.results : createOptimizedFallback(chunk.layers, 'chunk_failed', guidelinesHash);
+      await updateChunk(chunk.id, {
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        results: exhausted ? finalResults : null,
+        ...(exhausted && incomplete && { model_used: outcome.modelUsed, guidelines_version: guidelinesHash }),
+        // Tokens spent on failed attempts count towards the job's cost
+        usage: mergeUsage(mergeUsage(createUsage(), chunk.usage), outcome.usage),
+        error: incomplete
+          ? `${outcome.unanalysed.length} layers unanalysed (${[...new Set(outcome.unanalysed.map(layer => layer.reason))].join(', ')})`
+          : outcome.error.message,
+        lease_expires_at: null
+      });
+    }
+  }));
+
+  const processed = outcomes.filter(outcome => outcome.status !== 'skipped');
+  await storeUsage(processed.reduce((usage, outcome) => mergeUsage(usage, outcome.usage), createUsage()), {
+    guidelineSet,
+    apiKeyHash,
+    endpoint: 'jobs',
+    jobId: job.id,
+    layers: processed.reduce((sum, outcome) => sum + runnable[outcome.index].layers.length, 0)
+  });
+
+  return getJobChunks(job.id);
+}
+
+function summarizeJob(job, chunks) {
+  const countByStatus = status => chunks.filter(chunk => chunk.status === status).length;
+  const completedChunks = countByStatus('completed');
+  const failedChunks = countByStatus('failed');
+  const finished = completedChunks + failedChunks === chunks.length;
+
+  const layersDone = chunks
+    .filter(chunk => chunk.status === 'completed' || chunk.status === 'failed')
+    .reduce((sum, chunk) => sum + chunk.layers.length, 0);
+
+  return {
+    status: finished ? (failedChunks > 0 ? 'completed_with_errors' : 'completed') : (layersDone > 0 ? 'running' : 'pending'),
+    finished,
+    progress: {
+      totalLayers: job.total_layers,
+      layersDone,
+      totalChunks: chunks.length,
+      completedChunks,
+      failedChunks,
+      pendingChunks: chunks.length - completedChunks - failedChunks,
+      percent: job.total_layers ? Math.round((layersDone / job.total_layers) * 100) : 100
+    }
+  };
+}
+
+function mergeJobResults(job, chunks) {
+  const order = new Map(job.layer_order.map((id, index) => [id, index]));
+  return chunks
+    .flatMap(chunk => chunk.results || [])
+    .sort((a, b) => (order.get(a.id) ?? Infinity) - (order.get(b.id) ?? Infinity));
+}
+
+async function buildJobResponse(job, chunks) {
+  const summary = summarizeJob(job, chunks);
+
+  if (summary.finished && job.status !== summary.status) {
+    const { error } = await supabase
+      .from('analysis_jobs')
+      .update({ status: summary.status, completed_at: new Date().toISOString() })
+      .eq('id', job.id);
+    if (error) {
+      logger.warn(`Job ${job.id} status update failed`, { error: error.message });
+    }
+  }
+
+  const response = {
+    success: true,
+    jobId: job.id,
+    status: summary.status,
+    progress: summary.progress,
+    guidelinesVersion: job.guidelines_version,
+    // Cost so far, including retried chunks
+    usage: chunks.reduce((usage, chunk) => mergeUsage(usage, chunk.usage), createUsage()),
+    pollUrl: `/api/jobs?id=${job.id}`
+  };
+
+  if (summary.finished) {
+    const results = mergeJobResults(job, chunks);
+    response.results = results;
+    response.unanalysedLayers = listUnanalysedLayers(results);
+    response.stats = {
+      totalLayers: job.total_layers,
+      violations: results.filter(r => r.hasViolations).length,
+      fallbacks: response.unanalysedLayers.length,
+      suggestions: results.reduce((sum, r) => sum + (r.suggestions?.length || 0), 0),
+      modelsUsed: [...new Set(chunks.map(chunk => chunk.model_used).filter(Boolean))]
+    };
+  }
+
+  return response;
+}
+
+// --- HANDLER ---
+async function handler(req, res) {
+  const startTime = Date.now();
+  const deadline = startTime + HARD_TIMEOUT - RESPONSE_BUFFER;
+
+  setCorsHeaders(res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'POST') {
+      const { textLayers, clientHints, selectedModel, guidelineSet: guidelineSetRef, consensus: consensusRequest, minConfidence: minConfidenceRequest, minSeverity: minSeverityRequest } = req.body || {};
+      if (!Array.isArray(textLayers) || textLayers.length === 0) {
+        return res.status(400).json({ success: false, error: 'Valid textLayers required' });
+      }
+
+      if (textLayers.length > MAX_LAYERS_PER_JOB) {
+        return res.status(400).json({
+          success: false,
+          error: `Too many layers. Max ${MAX_LAYERS_PER_JOB} per job.`,
+          layersReceived: textLayers.length,
+          maxAllowed: MAX_LAYERS_PER_JOB
+        });
+      }
+
+      let minConfidence;
+      let minSeverity;
+      try {
+        minConfidence = parseMinConfidence(minConfidenceRequest);
+        minSeverity = parseMinSeverity(minSeverityRequest);
+      } catch (err) {
+        return res.status(err.status).json({ success: false, error: err.message });
+      }
+
+      const filteredLayers = intelligentPreFilter(textLayers);
+      if (filteredLayers.length === 0) {
+        return res.status(400).json({ success: false, error: 'No layers with text to analyze' });
+      }
+
+      let loaded;
+      try {
+        loaded = await loadGuidelines(guidelineSetRef);
+      } catch (err) {
+        return res.status(err.status || 500).json({
+          success: false,
+          error: err.status === 404 ? err.message : 'Guidelines unavailable',
+          details: err.message
+        });
+      }
+
+      let modelKey;
+      let consensus;
+      try {
+        let modelChain;
+        ({ modelKey, modelChain } = selectModel(selectedModel, loaded.modelPolicy));
+        consensus = selectConsensus(consensusRequest, { modelChain, modelPolicy: loaded.modelPolicy });
+      } catch (err) {
+        return res.status(err.status || 500).json({
+          success: false,
+          error: err.message,
+          ...(err.availableModels && { availableModels: err.availableModels })
+        });
+      }
+      const { guidelinesHash } = prepareGuidelines(loaded.guidelines, loaded.guidelineSet, loaded);
+
+      const job = await createJob(filteredLayers, {
+        selectedModel: modelKey,
+        consensus,
+        minConfidence,
+        minSeverity,
+        clientHints,
+        guidelineSet: loaded.guidelineSet,
+        guidelinesHash
+      });
+
+      // Start work straight away; the client polls for the rest
+      const chunks = await processJobChunks(job, deadline, { apiKeyHash: getApiKeyHash(req) });
+      return res.status(202).json(await buildJobResponse(job, chunks));
+    }
+
+    if (req.method === 'GET') {
+      const jobId = req.query?.id;
+      if (!jobId) {
+        return res.status(400).json({ success: false, error: 'Job id required (?id=...)' });
+      }
+
+      const job = await getJob(jobId);
+      if (!job) {
+        return res.status(404).json({ success: false, error: `Job not found: ${jobId}` });
+      }
+
+      // Each poll resumes pending and failed chunks within its own time budget
+      const chunks = job.completed_at
+        ? await getJobChunks(job.id)
+        : await processJobChunks(job, deadline, { apiKeyHash: getApiKeyHash(req) });
+
+      return res.status(200).json(await buildJobResponse(job, chunks));
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    logger.error('Fatal error in jobs handler', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      details: error.message
+    });
+  }
+}
+
+export default instrumentHandler('jobs', handler);
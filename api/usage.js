@@ -0,0 +1,170 @@
+import {
+  supabase,
+  logger,
+  instrumentHandler,
+  setCorsHeaders,
+  isAdminRequest,
+  loadGuidelines,
+  createUsage,
+  mergeUsage
+} from './analyze.js';
+
+// Token usage and estimated spend from `model_usage`, grouped by team
+// (guideline set), API key, model or day
+const GROUP_BY = ['team', 'api_key', 'model', 'day'];
+const DEFAULT_REPORT_WINDOW_DAYS = 30;
+const PAGE_SIZE = 1000;
+const MAX_PAGES = 50;
+
+async function fetchUsageRows({ since, guidelineSetId }) {
+  const rows = [];
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    let query = supabase
+      .from('model_usage')
+      .select('guideline_set_id, api_key_hash, endpoint, job_id, layers, by_model, created_at')
+      .gte('created_at', since)
+      .order('created_at')
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+
+    if (guidelineSetId !== undefined) {
+      query = guidelineSetId ? query.eq('guideline_set_id', guidelineSetId) : query.is('guideline_set_id', null);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Usage error: ${error.message}`);
+    }
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return { rows, truncated: false };
+  }
+
+  return { rows, truncated: true };
+}
+
+async function getTeamNames() {
+  const { data, error } = await supabase.from('guideline_sets').select('id, slug, name');
+  if (error) return new Map();
+  return new Map((data || []).map(set => [set.id, { slug: set.slug, name: set.name }]));
+}
+
+function createGroup(key) {
+  return { key, requests: 0, layers: 0, jobs: new Set(), usage: createUsage() };
+}
+
+function addToGroup(group, row, usage) {
+  group.requests++;
+  group.layers += row.layers || 0;
+  if (row.job_id) group.jobs.add(row.job_id);
+  mergeUsage(group.usage, usage);
+}
+
+// A row holds one request's usage across models; grouping by model splits it
+function getGroupEntries(row, groupBy) {
+  const byModel = row.by_model || {};
+  if (groupBy === 'model') {
+    return Object.entries(byModel).map(([model, usage]) => [model, { byModel: { [model]: usage } }]);
+  }
+
+  const key = {
+    team: row.guideline_set_id || 'global',
+    api_key: row.api_key_hash || 'anonymous',
+    day: row.created_at.slice(0, 10)
+  }[groupBy];
+  return [[key, { byModel }]];
+}
+
+function formatGroup(group, teamNames, groupBy) {
+  const { key, requests, layers, jobs, usage } = group;
+  return {
+    key,
+    ...(groupBy === 'team' && { team: teamNames.get(key) || null }),
+    requests,
+    jobs: jobs.size,
+    // Per-model layer counts are not tracked, so model groups have no per-layer cost
+    ...(groupBy !== 'model' && {
+      layers,
+      costPerLayerUsd: layers > 0 ? Math.round((usage.estimatedCostUsd / layers) * 1e8) / 1e8 : null
+    }),
+    ...usage
+  };
+}
+
+// --- HANDLER ---
+async function handler(req, res) {
+  setCorsHeaders(res, 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(500).json({ success: false, error: 'Usage report disabled (ADMIN_API_KEY missing)' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const days = parseInt(req.query?.days || String(DEFAULT_REPORT_WINDOW_DAYS), 10);
+    if (!Number.isFinite(days) || days <= 0) {
+      return res.status(400).json({ success: false, error: 'days must be a positive integer' });
+    }
+    const groupBy = req.query?.groupBy || 'team';
+    if (!GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({ success: false, error: `groupBy must be one of: ${GROUP_BY.join(', ')}` });
+    }
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    let guidelineSetId;
+    if (req.query?.set === 'global') {
+      guidelineSetId = null;
+    } else if (req.query?.set) {
+      try {
+        const { guidelineSet } = await loadGuidelines(req.query.set);
+        guidelineSetId = guidelineSet?.id || null;
+      } catch (err) {
+        return res.status(err.status || 500).json({ success: false, error: err.message });
+      }
+    }
+
+    const [{ rows, truncated }, teamNames] = await Promise.all([
+      fetchUsageRows({ since, guidelineSetId }),
+      getTeamNames()
+    ]);
+
+    const groups = new Map();
+    const totals = createGroup('total');
+    rows.forEach(row => {
+      addToGroup(totals, row, { byModel: row.by_model || {} });
+      getGroupEntries(row, groupBy).forEach(([key, usage]) => {
+        if (!groups.has(key)) groups.set(key, createGroup(key));
+        addToGroup(groups.get(key), row, usage);
+      });
+    });
+
+    if (truncated) {
+      logger.warn(`Usage report truncated at ${rows.length} rows`, { since, groupBy });
+    }
+
+    return res.status(200).json({
+      success: true,
+      since,
+      groupBy,
+      truncated,
+      totals: formatGroup(totals, teamNames, 'total'),
+      groups: [...groups.values()]
+        .map(group => formatGroup(group, teamNames, groupBy))
+        .sort((a, b) => b.estimatedCostUsd - a.estimatedCostUsd || b.totalTokens - a.totalTokens)
+    });
+  } catch (error) {
+    logger.error('💥 Usage API error', error);
+    return res.status(500).json({ success: false, error: 'Usage report failed', details: error.message });
+  }
+}
+
+export default instrumentHandler('usage', handler);
@@ -0,0 +1,639 @@
+// Analysis cache: an in-process LRU in front of a swappable persistent backend.
+//
+// A backend stores two kinds of entries and implements:
+//   getAnalysis(cacheKey, { signal })                         → analysis result | null
+//   setAnalysis(cacheKey, result, { guidelinesVersion, expiresAt, signal })
+//   findEdges({ fingerprint, layerId }, guidelinesVersion, { signal }) → relationship edges, newest first
+//   setRelationship(edge, { signal })
+// and, for cache administration:
+//   getVersionStats()                                   → [{ guidelinesVersion, entries, expired }]
+//   purgeVersions({ versions } | { exceptVersions })     → { analyses, relationships } deleted
+//   invalidateText(fingerprint, { guidelinesVersion })   → { analyses, relationships } deleted
+// A relationship edge is { originalFingerprint, correctedFingerprint, originalText,
+// correctedText, guidelinesVersion, originalViolations, layerId, parentFingerprint, createdAt }.
+// findEdges returns edges where the text is the original or the corrected side,
+// plus the other edges recorded for the same layer, so a correction chain can
+// be followed without a query per step.
+// purgeVersions with `exceptVersions` also deletes rows without a version, and
+// an empty `exceptVersions` deletes everything; the store answers an empty
+// `versions` list itself.
+// Cache keys start with the text fingerprint (see createNormalizedCacheKey).
+// Backends may ignore `signal`; the store enforces timeouts itself.
+
+import { logger } from './logger.js';
+
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Short in-process lifetime so invalidations on the shared store show up quickly
+const DEFAULT_LRU_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_LRU_MAX_ENTRIES = 2000;
+const DEFAULT_MEMORY_MAX_ENTRIES = 10000;
+const SQLITE_PRUNE_EVERY_WRITES = 100;
+const MAX_EDGES_PER_LOOKUP = 50;
+// Hit counters are kept for this many guidelines versions per process
+const MAX_TRACKED_VERSIONS = 50;
+
+/**
+ * Size-bounded LRU with per-entry expiry. Map iteration order is insertion
+ * order, so re-inserting on read keeps the least recently used entry first.
+ */
+function createLruCache({ maxEntries = DEFAULT_LRU_MAX_ENTRIES, ttlMs = DEFAULT_LRU_TTL_MS } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value, expiresAt = Date.now() + ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Math.min(expiresAt, Date.now() + ttlMs) });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      return entries.delete(key);
+    },
+    deleteWhere(predicate) {
+      let deleted = 0;
+      [...entries].forEach(([key, entry]) => {
+        if (predicate(key, entry.value)) {
+          entries.delete(key);
+          deleted++;
+        }
+      });
+      return deleted;
+    },
+    *entries() {
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt > Date.now()) yield [key, entry.value];
+      }
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+// --- Backends ---
+
+// Process-local only: for tests, local development and deployments without a database
+function createMemoryBackend({ maxEntries = DEFAULT_MEMORY_MAX_ENTRIES } = {}) {
+  const analyses = createLruCache({ maxEntries, ttlMs: Infinity });
+  const relationships = createLruCache({ maxEntries, ttlMs: Infinity });
+
+  const matchesVersions = (version, { versions, exceptVersions }) =>
+    (versions ? versions.includes(version) : !exceptVersions.includes(version));
+
+  return {
+    name: 'memory',
+    async getAnalysis(cacheKey) {
+      return analyses.get(cacheKey)?.result ?? null;
+    },
+    async setAnalysis(cacheKey, result, { guidelinesVersion, expiresAt }) {
+      analyses.set(cacheKey, { result, guidelinesVersion }, expiresAt);
+    },
+    async findEdges({ fingerprint, layerId }, guidelinesVersion) {
+      return [...relationships.entries()]
+        .map(([, edge]) => edge)
+        .filter(edge => edge.guidelinesVersion === guidelinesVersion && (
+          edge.originalFingerprint === fingerprint ||
+          edge.correctedFingerprint === fingerprint ||
+          (layerId && edge.layerId === layerId)
+        ))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, MAX_EDGES_PER_LOOKUP);
+    },
+    async setRelationship(relationship) {
+      relationships.set(
+        `${relationship.originalFingerprint}:${relationship.correctedFingerprint}:${relationship.guidelinesVersion}`,
+        { ...relationship, createdAt: Date.now() }
+      );
+    },
+    async getVersionStats() {
+      // Expired entries are dropped on read, so none are ever reported
+      const byVersion = new Map();
+      [...analyses.entries()].forEach(([, { guidelinesVersion }]) => {
+        byVersion.set(guidelinesVersion, (byVersion.get(guidelinesVersion) || 0) + 1);
+      });
+      return [...byVersion].map(([guidelinesVersion, entries]) => ({ guidelinesVersion, entries, expired: 0 }));
+    },
+    async purgeVersions(filter) {
+      return {
+        analyses: analyses.deleteWhere((key, entry) => matchesVersions(entry.guidelinesVersion, filter)),
+        relationships: relationships.deleteWhere((key, entry) => matchesVersions(entry.guidelinesVersion, filter))
+      };
+    },
+    async invalidateText(fingerprint, { guidelinesVersion } = {}) {
+      const inVersion = version => !guidelinesVersion || version === guidelinesVersion;
+      return {
+        analyses: analyses.deleteWhere((key, entry) => key.startsWith(`${fingerprint}:`) && inVersion(entry.guidelinesVersion)),
+        relationships: relationships.deleteWhere((key, entry) =>
+          (entry.originalFingerprint === fingerprint || entry.correctedFingerprint === fingerprint) &&
+          inVersion(entry.guidelinesVersion)
+        )
+      };
+    }
+  };
+}
+
+function createSupabaseBackend({ supabase }) {
+  if (!supabase) {
+    throw new Error('Supabase cache backend requires a Supabase client');
+  }
+
+  const withSignal = (query, signal) => (signal ? query.abortSignal(signal) : query);
+
+  return {
+    name: 'supabase',
+    async getAnalysis(cacheKey, { signal } = {}) {
+      const { data, error } = await withSignal(
+        supabase
+          .from('analysis_cache')
+          .select('analysis_result')
+          .eq('cache_key', cacheKey)
+          .gt('expires_at', new Date().toISOString()),
+        signal
+      ).maybeSingle();
+
+      if (error) throw new Error(`Cache read failed: ${error.message}`);
+      return data?.analysis_result || null;
+    },
+    async setAnalysis(cacheKey, result, { guidelinesVersion, expiresAt, signal } = {}) {
+      const { error } = await withSignal(
+        supabase
+          .from('analysis_cache')
+          .upsert({
+            cache_key: cacheKey,
+            analysis_result: result,
+            guidelines_version: guidelinesVersion,
+            expires_at: new Date(expiresAt).toISOString()
+          }, { onConflict: 'cache_key' }),
+        signal
+      );
+
+      if (error) throw new Error(`Cache write failed: ${error.message}`);
+    },
+    async findEdges({ fingerprint, layerId }, guidelinesVersion, { signal } = {}) {
+      const conditions = [`original_fingerprint.eq.${fingerprint}`, `corrected_fingerprint.eq.${fingerprint}`];
+      if (layerId) conditions.push(`layer_id.eq."${String(layerId).replace(/["\\]/g, '\\$&')}"`);
+
+      const { data, error } = await withSignal(
+        supabase
+          .from('text_relationships')
+          .select('original_fingerprint, corrected_fingerprint, original_text, corrected_text, original_violations, layer_id, parent_fingerprint, created_at')
+          .eq('guidelines_version', guidelinesVersion)
+          .or(conditions.join(','))
+          .order('created_at', { ascending: false })
+          .limit(MAX_EDGES_PER_LOOKUP),
+        signal
+      );
+
+      if (error) throw new Error(`Relationship read failed: ${error.message}`);
+      return (data || []).map(row => ({
+        originalFingerprint: row.original_fingerprint,
+        correctedFingerprint: row.corrected_fingerprint,
+        originalText: row.original_text,
+        correctedText: row.corrected_text,
+        originalViolations: row.original_violations || [],
+        layerId: row.layer_id,
+        parentFingerprint: row.parent_fingerprint,
+        createdAt: new Date(row.created_at).getTime()
+      }));
+    },
+    async setRelationship(relationship, { signal } = {}) {
+      const { error } = await withSignal(
+        supabase
+          .from('text_relationships')
+          .upsert({
+            original_fingerprint: relationship.originalFingerprint,
+            corrected_fingerprint: relationship.correctedFingerprint,
+            original_text: relationship.originalText,
+            corrected_text: relationship.correctedText,
+            guidelines_version: relationship.guidelinesVersion,
+            original_violations: relationship.originalViolations || [],
+            layer_id: relationship.layerId || null,
+            parent_fingerprint: relationship.parentFingerprint || null,
+            created_at: new Date().toISOString()
+          }, {
+            onConflict: 'original_fingerprint,corrected_fingerprint,guidelines_version'
+          }),
+        signal
+      );
+
+      if (error) throw new Error(`Relationship write failed: ${error.message}`);
+    },
+    // Reads the analysis_cache_stats view (see README): PostgREST cannot group
+    async getVersionStats() {
+      const { data, error } = await supabase
+        .from('analysis_cache_stats')
+        .select('guidelines_version, entries, expired');
+
+      if (error) throw new Error(`Cache stats failed: ${error.message}`);
+      return (data || []).map(row => ({
+        guidelinesVersion: row.guidelines_version,
+        entries: row.entries,
+        expired: row.expired
+      }));
+    },
+    async purgeVersions({ versions, exceptVersions }) {
+      const list = `(${(versions || exceptVersions).map(version => `"${version}"`).join(',')})`;
+      // `not.in.()` is not valid PostgREST; with no current versions every row is stale
+      const stale = exceptVersions?.length === 0
+        ? 'guidelines_version.is.null,guidelines_version.not.is.null'
+        : `guidelines_version.is.null,guidelines_version.not.in.${list}`;
+      const filter = query => (versions ? query.in('guidelines_version', versions) : query.or(stale));
+
+      const [analyses, relationships, expired] = await Promise.all([
+        filter(supabase.from('analysis_cache').delete({ count: 'exact' })),
+        filter(supabase.from('text_relationships').delete({ count: 'exact' })),
+        // Stale purges also clear expired and pre-TTL rows of current versions
+        versions
+          ? { count: 0 }
+          : supabase.from('analysis_cache').delete({ count: 'exact' })
+            .or(`expires_at.is.null,expires_at.lte.${new Date().toISOString()}`)
+      ]);
+
+      const failed = [analyses, relationships, expired].find(result => result.error);
+      if (failed) throw new Error(`Cache purge failed: ${failed.error.message}`);
+      return { analyses: (analyses.count || 0) + (expired.count || 0), relationships: relationships.count || 0 };
+    },
+    async invalidateText(fingerprint, { guidelinesVersion } = {}) {
+      let analysesQuery = supabase
+        .from('analysis_cache')
+        .delete({ count: 'exact' })
+        .like('cache_key', `${fingerprint}:%`);
+      let relationshipsQuery = supabase
+        .from('text_relationships')
+        .delete({ count: 'exact' })
+        .or(`original_fingerprint.eq.${fingerprint},corrected_fingerprint.eq.${fingerprint}`);
+
+      if (guidelinesVersion) {
+        analysesQuery = analysesQuery.eq('guidelines_version', guidelinesVersion);
+        relationshipsQuery = relationshipsQuery.eq('guidelines_version', guidelinesVersion);
+      }
+
+      const [analyses, relationships] = await Promise.all([analysesQuery, relationshipsQuery]);
+      const failed = [analyses, relationships].find(result => result.error);
+      if (failed) throw new Error(`Cache invalidation failed: ${failed.error.message}`);
+      return { analyses: analyses.count || 0, relationships: relationships.count || 0 };
+    }
+  };
+}
+
+// Single-file persistent cache for self-hosted deployments. better-sqlite3 is
+// an optional dependency and only loaded when this backend is selected.
+function createSqliteBackend({ path = '/tmp/content-lint-cache.db', maxEntries = DEFAULT_MEMORY_MAX_ENTRIES } = {}) {
+  let opening = null;
+  let writes = 0;
+
+  const open = () => {
+    opening ||= import('better-sqlite3').then(({ default: Database }) => {
+      const db = new Database(path);
+      db.pragma('journal_mode = WAL');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS analysis_cache (
+          cache_key TEXT PRIMARY KEY,
+          analysis_result TEXT NOT NULL,
+          guidelines_version TEXT,
+          expires_at INTEGER NOT NULL,
+          created_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS text_relationships (
+          original_fingerprint TEXT NOT NULL,
+          corrected_fingerprint TEXT NOT NULL,
+          original_text TEXT NOT NULL,
+          corrected_text TEXT NOT NULL,
+          guidelines_version TEXT NOT NULL,
+          original_violations TEXT,
+          layer_id TEXT,
+          parent_fingerprint TEXT,
+          created_at INTEGER NOT NULL,
+          PRIMARY KEY (original_fingerprint, corrected_fingerprint, guidelines_version)
+        );
+        CREATE INDEX IF NOT EXISTS text_relationships_corrected
+          ON text_relationships (corrected_fingerprint, guidelines_version);
+        CREATE INDEX IF NOT EXISTS text_relationships_layer
+          ON text_relationships (layer_id, guidelines_version);
+      `);
+      return db;
+    });
+    return opening;
+  };
+
+  // Expired rows go first, then the oldest rows beyond maxEntries
+  const prune = db => {
+    db.prepare('DELETE FROM analysis_cache WHERE expires_at <= ?').run(Date.now());
+    db.prepare(`
+      DELETE FROM analysis_cache WHERE cache_key IN (
+        SELECT cache_key FROM analysis_cache ORDER BY created_at DESC LIMIT -1 OFFSET ?
+      )
+    `).run(maxEntries);
+  };
+
+  return {
+    name: 'sqlite',
+    async getAnalysis(cacheKey) {
+      const db = await open();
+      const row = db
+        .prepare('SELECT analysis_result FROM analysis_cache WHERE cache_key = ? AND expires_at > ?')
+        .get(cacheKey, Date.now());
+      return row ? JSON.parse(row.analysis_result) : null;
+    },
+    async setAnalysis(cacheKey, result, { guidelinesVersion, expiresAt }) {
+      const db = await open();
+      db.prepare(`
+        INSERT INTO analysis_cache (cache_key, analysis_result, guidelines_version, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (cache_key) DO UPDATE SET
+          analysis_result = excluded.analysis_result,
+          guidelines_version = excluded.guidelines_version,
+          expires_at = excluded.expires_at,
+          created_at = excluded.created_at
+      `).run(cacheKey, JSON.stringify(result), guidelinesVersion || null, expiresAt, Date.now());
+
+      if (++writes % SQLITE_PRUNE_EVERY_WRITES === 0) prune(db);
+    },
+    async findEdges({ fingerprint, layerId }, guidelinesVersion) {
+      const db = await open();
+      return db.prepare(`
+        SELECT * FROM text_relationships
+        WHERE guidelines_version = ?
+          AND (original_fingerprint = ? OR corrected_fingerprint = ? OR (? IS NOT NULL AND layer_id = ?))
+        ORDER BY created_at DESC
+        LIMIT ?
+      `).all(guidelinesVersion, fingerprint, fingerprint, layerId || null, layerId || null, MAX_EDGES_PER_LOOKUP).map(row => ({
+        originalFingerprint: row.original_fingerprint,
+        correctedFingerprint: row.corrected_fingerprint,
+        originalText: row.original_text,
+        correctedText: row.corrected_text,
+        originalViolations: row.original_violations ? JSON.parse(row.original_violations) : [],
+        layerId: row.layer_id,
+        parentFingerprint: row.parent_fingerprint,
+        createdAt: row.created_at
+      }));
+    },
+    async setRelationship(relationship) {
+      const db = await open();
+      db.prepare(`
+        INSERT OR REPLACE INTO text_relationships
+          (original_fingerprint, corrected_fingerprint, original_text, corrected_text, guidelines_version,
+           original_violations, layer_id, parent_fingerprint, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        relationship.originalFingerprint,
+        relationship.correctedFingerprint,
+        relationship.originalText,
+        relationship.correctedText,
+        relationship.guidelinesVersion,
+        JSON.stringify(relationship.originalViolations || []),
+        relationship.layerId || null,
+        relationship.parentFingerprint || null,
+        Date.now()
+      );
+    },
+    async getVersionStats() {
+      const db = await open();
+      return db.prepare(`
+        SELECT guidelines_version AS guidelinesVersion,
+               COUNT(*) AS entries,
+               SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END) AS expired
+        FROM analysis_cache
+        GROUP BY guidelines_version
+      `).all(Date.now());
+    },
+    async purgeVersions({ versions, exceptVersions }) {
+      const db = await open();
+      const list = versions || exceptVersions;
+      const placeholders = list.map(() => '?').join(',');
+      // With no current versions every row is stale
+      let where = '1 = 1';
+      if (versions) where = `guidelines_version IN (${placeholders})`;
+      else if (list.length > 0) where = `(guidelines_version IS NULL OR guidelines_version NOT IN (${placeholders}))`;
+
+      return db.transaction(() => {
+        let analyses = db.prepare(`DELETE FROM analysis_cache WHERE ${where}`).run(...list).changes;
+        const relationships = db.prepare(`DELETE FROM text_relationships WHERE ${where}`).run(...list).changes;
+        if (!versions) {
+          analyses += db.prepare('DELETE FROM analysis_cache WHERE expires_at <= ?').run(Date.now()).changes;
+        }
+        return { analyses, relationships };
+      })();
+    },
+    async invalidateText(fingerprint, { guidelinesVersion } = {}) {
+      const db = await open();
+      const versionClause = guidelinesVersion ? ' AND guidelines_version = ?' : '';
+      const versionArgs = guidelinesVersion ? [guidelinesVersion] : [];
+
+      return db.transaction(() => ({
+        analyses: db.prepare(`DELETE FROM analysis_cache WHERE substr(cache_key, 1, ?) = ?${versionClause}`)
+          .run(fingerprint.length + 1, `${fingerprint}:`, ...versionArgs).changes,
+        relationships: db.prepare(`DELETE FROM text_relationships WHERE (original_fingerprint = ? OR corrected_fingerprint = ?)${versionClause}`)
+          .run(fingerprint, fingerprint, ...versionArgs).changes
+      }))();
+    }
+  };
+}
+
+// Stores nothing: every lookup misses. With an LRU of 0 entries caching is off
+// entirely, which evaluation runs need so earlier items cannot answer later ones
+function createNoneBackend() {
+  return {
+    name: 'none',
+    async getAnalysis() { return null; },
+    async setAnalysis() {},
+    async findEdges() { return []; },
+    async setRelationship() {},
+    async getVersionStats() { return []; },
+    async purgeVersions() { return { analyses: 0, relationships: 0 }; },
+    async invalidateText() { return { analyses: 0, relationships: 0 }; }
+  };
+}
+
+const CACHE_BACKENDS = {
+  memory: createMemoryBackend,
+  supabase: createSupabaseBackend,
+  sqlite: createSqliteBackend,
+  none: createNoneBackend
+};
+
+function createCacheBackend(name, options = {}) {
+  const factory = CACHE_BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown cache backend "${name}". Available: ${Object.keys(CACHE_BACKENDS).join(', ')}`);
+  }
+  return factory(options);
+}
+
+// --- Tiered store ---
+
+async function withTimeout(operation, timeout) {
+  const controller = new AbortController();
+  let timeoutId;
+  const timedOut = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Cache backend timeout after ${timeout}ms`));
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([operation(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * LRU tier in front of `backend`. Reads that hit the LRU never leave the
+ * process; misses fall through to the backend within `timeout` and are kept.
+ * Writes go to both tiers. Backend errors are returned as misses, never thrown.
+ */
+function createCacheStore({
+  backend,
+  ttlMs = DEFAULT_TTL_MS,
+  lruMaxEntries = DEFAULT_LRU_MAX_ENTRIES,
+  lruTtlMs = DEFAULT_LRU_TTL_MS
+}) {
+  const lru = createLruCache({ maxEntries: lruMaxEntries, ttlMs: lruTtlMs });
+  const counters = { lruHits: 0, backendHits: 0, misses: 0, backendErrors: 0 };
+  const versionCounters = createLruCache({ maxEntries: MAX_TRACKED_VERSIONS, ttlMs: Infinity });
+  const startedAt = new Date().toISOString();
+
+  const countLookup = (guidelinesVersion, hit) => {
+    if (!guidelinesVersion) return;
+    const entry = versionCounters.get(guidelinesVersion) || { lookups: 0, hits: 0 };
+    entry.lookups++;
+    if (hit) entry.hits++;
+    versionCounters.set(guidelinesVersion, entry);
+  };
+
+  // Empty edge lists are misses: they are not kept, so new edges show up at once
+  const isHit = value => Boolean(value) && (!Array.isArray(value) || value.length > 0);
+
+  const read = async (lruKey, operation, timeout, guidelinesVersion) => {
+    const cached = lru.get(lruKey);
+    if (cached !== undefined) {
+      counters.lruHits++;
+      countLookup(guidelinesVersion, true);
+      return cached;
+    }
+
+    try {
+      const value = await withTimeout(operation, timeout);
+      if (isHit(value)) {
+        counters.backendHits++;
+        countLookup(guidelinesVersion, true);
+        lru.set(lruKey, value);
+        return value;
+      }
+    } catch (err) {
+      counters.backendErrors++;
+      logger.warn(`Cache read failed on ${backend.name} (non-critical)`, { error: err.message });
+    }
+    counters.misses++;
+    countLookup(guidelinesVersion, false);
+    return null;
+  };
+
+  const write = async (operation, timeout) => {
+    try {
+      await withTimeout(operation, timeout);
+    } catch (err) {
+      counters.backendErrors++;
+      logger.warn(`Cache write failed on ${backend.name} (non-critical)`, { error: err.message });
+    }
+  };
+
+  return {
+    backendName: backend.name,
+    ttlMs,
+
+    getAnalysis(cacheKey, { guidelinesVersion, timeout = 2500 } = {}) {
+      return read(`analysis:${cacheKey}`, signal => backend.getAnalysis(cacheKey, { signal }), timeout, guidelinesVersion);
+    },
+
+    setAnalysis(cacheKey, result, { guidelinesVersion, timeout = 8000 } = {}) {
+      const expiresAt = Date.now() + ttlMs;
+      lru.set(`analysis:${cacheKey}`, result, expiresAt);
+      return write(signal => backend.setAnalysis(cacheKey, result, { guidelinesVersion, expiresAt, signal }), timeout);
+    },
+
+    async findEdges({ fingerprint, layerId = null }, guidelinesVersion, { timeout = 2500 } = {}) {
+      const edges = await read(
+        `edges:${guidelinesVersion}:${fingerprint}:${layerId || ''}`,
+        signal => backend.findEdges({ fingerprint, layerId }, guidelinesVersion, { signal }),
+        timeout
+      );
+      return edges || [];
+    },
+
+    setRelationship(relationship, { timeout = 5000 } = {}) {
+      // Any cached edge list may now be incomplete
+      lru.deleteWhere(key => key.startsWith(`edges:${relationship.guidelinesVersion}:`));
+      return write(signal => backend.setRelationship(relationship, { signal }), timeout);
+    },
+
+    stats() {
+      return { backend: backend.name, lruEntries: lru.size, ...counters };
+    },
+
+    /**
+     * Entry counts from the backend joined with this process's lookup counters
+     * (analysis lookups only, since `startedAt`).
+     */
+    async versionStats() {
+      const persisted = await backend.getVersionStats();
+      const byVersion = new Map(persisted.map(row => [row.guidelinesVersion, { ...row, lookups: 0, hits: 0 }]));
+
+      [...versionCounters.entries()].forEach(([guidelinesVersion, { lookups, hits }]) => {
+        const row = byVersion.get(guidelinesVersion) || { guidelinesVersion, entries: 0, expired: 0 };
+        byVersion.set(guidelinesVersion, { ...row, lookups, hits });
+      });
+
+      return {
+        startedAt,
+        versions: [...byVersion.values()].map(row => ({
+          ...row,
+          hitRatio: row.lookups > 0 ? Math.round((row.hits / row.lookups) * 1000) / 1000 : null
+        }))
+      };
+    },
+
+    // Other instances drop their LRU copies within lruTtlMs
+    async purgeVersions(filter) {
+      if (filter.versions?.length === 0) return { analyses: 0, relationships: 0 };
+      const deleted = await backend.purgeVersions(filter);
+      lru.clear();
+      return deleted;
+    },
+
+    async invalidateText(fingerprint, options = {}) {
+      const deleted = await backend.invalidateText(fingerprint, options);
+      lru.deleteWhere(key =>
+        key.startsWith(`analysis:${fingerprint}:`) ||
+        key.startsWith('edges:')
+      );
+      return deleted;
+    }
+  };
+}
+
+export {
+  createLruCache,
+  createMemoryBackend,
+  createSupabaseBackend,
+  createSqliteBackend,
+  createCacheBackend,
+  createCacheStore
+};
@@ -0,0 +1,112 @@
+// Confidence calibration. A model's raw confidence says little on its own, so
+// it is mapped to how often findings at that confidence turned out right:
+// designer feedback (accepted or edited vs rejected) or labelled evaluation
+// runs. A calibration lists [raw, calibrated] points per model key, with "*"
+// for any other model, and is interpolated linearly between them:
+//
+//   { "gemini": [[0.62, 0.41], [0.84, 0.66], [0.96, 0.9]], "*": [[0.9, 0.7]] }
+//
+// Models without points keep their raw confidence.
+
+// Upper bounds of the confidence bins samples are grouped into; the last bin ends at 1
+const CALIBRATION_BIN_BOUNDS = [0.5, 0.7, 0.8, 0.9, 0.95];
+const MIN_BIN_SAMPLES = 5;
+const ANY_MODEL = '*';
+
+const round = value => Math.round(value * 1000) / 1000;
+
+function toBinIndex(confidence) {
+  const index = CALIBRATION_BIN_BOUNDS.findIndex(bound => confidence < bound);
+  return index === -1 ? CALIBRATION_BIN_BOUNDS.length : index;
+}
+
+function toPoints(samples, minSamples) {
+  const bins = Array.from({ length: CALIBRATION_BIN_BOUNDS.length + 1 }, () => ({ count: 0, correct: 0, rawSum: 0 }));
+  samples.forEach(({ confidence, correct }) => {
+    const bin = bins[toBinIndex(confidence)];
+    bin.count++;
+    bin.rawSum += confidence;
+    if (correct) bin.correct++;
+  });
+
+  // Pool adjacent bins until a higher raw confidence never calibrates lower
+  const pooled = [];
+  bins.filter(bin => bin.count >= minSamples).forEach(bin => {
+    pooled.push({ raw: bin.rawSum / bin.count, rate: bin.correct / bin.count, weight: bin.count });
+    while (pooled.length > 1 && pooled[pooled.length - 2].rate > pooled[pooled.length - 1].rate) {
+      const upper = pooled.pop();
+      const lower = pooled.pop();
+      const weight = lower.weight + upper.weight;
+      pooled.push({
+        raw: (lower.raw * lower.weight + upper.raw * upper.weight) / weight,
+        rate: (lower.rate * lower.weight + upper.rate * upper.weight) / weight,
+        weight
+      });
+    }
+  });
+
+  return pooled.map(point => [round(point.raw), round(point.rate)]);
+}
+
+/**
+ * Build a calibration from `{ model, confidence, correct }` samples, where
+ * `confidence` is the raw model confidence. Bins with fewer than `minSamples`
+ * samples are left out; models with no usable bin get no points.
+ */
+function buildCalibration(samples, { minSamples = MIN_BIN_SAMPLES } = {}) {
+  const usable = samples.filter(sample => typeof sample.confidence === 'number');
+  const byModel = new Map([[ANY_MODEL, usable]]);
+  usable.forEach(sample => {
+    if (!sample.model) return;
+    if (!byModel.has(sample.model)) byModel.set(sample.model, []);
+    byModel.get(sample.model).push(sample);
+  });
+
+  return Object.fromEntries(
+    [...byModel.entries()]
+      .map(([model, modelSamples]) => [model, toPoints(modelSamples, minSamples)])
+      .filter(([, points]) => points.length > 0)
+  );
+}
+
+/** Throws when `table` is not `{ model: [[raw, calibrated], ...] }` with ascending raw values in [0, 1]. */
+function validateCalibration(table) {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    throw new Error('Expected an object of model keys to [raw, calibrated] points');
+  }
+  Object.entries(table).forEach(([model, points]) => {
+    const valid = Array.isArray(points) && points.every((point, index) =>
+      Array.isArray(point) && point.length === 2 &&
+      point.every(value => typeof value === 'number' && value >= 0 && value <= 1) &&
+      (index === 0 || point[0] > points[index - 1][0])
+    );
+    if (!valid) {
+      throw new Error(`${model}: expected [raw, calibrated] pairs between 0 and 1, in ascending raw order`);
+    }
+  });
+  return table;
+}
+
+/**
+ * Returns `(confidence, model) => calibrated`. Below the first point the
+ * calibration runs straight to 0; above the last one it stays flat.
+ */
+function createCalibrator(table = {}) {
+  return (confidence, model) => {
+    const points = table[model] || table[ANY_MODEL];
+    if (!points || points.length === 0) return confidence;
+
+    const [firstRaw, firstCalibrated] = points[0];
+    if (confidence <= firstRaw) {
+      return firstRaw > 0 ? round(firstCalibrated * (confidence / firstRaw)) : firstCalibrated;
+    }
+    const upperIndex = points.findIndex(([raw]) => raw >= confidence);
+    if (upperIndex === -1) return points[points.length - 1][1];
+
+    const [lowerRaw, lowerCalibrated] = points[upperIndex - 1];
+    const [upperRaw, upperCalibrated] = points[upperIndex];
+    return round(lowerCalibrated + (upperCalibrated - lowerCalibrated) * ((confidence - lowerRaw) / (upperRaw - lowerRaw)));
+  };
+}
+
+export { buildCalibration, createCalibrator, validateCalibration };
@@ -0,0 +1,51 @@
+// Consensus mode: the same layers go to several models and their findings are
+// merged. Two violations are the same finding when they name the same
+// ruleCategory (case-insensitive) and their spans overlap; each model backs a
+// finding at most once.
+//
+//   agreement  only findings every model reported are kept
+//   calibrate  every finding is kept, its confidence scaled by the share of
+//              models that reported it
+
+const CONSENSUS_STRATEGIES = ['agreement', 'calibrate'];
+
+function categoryKey(violation) {
+  return (violation.ruleCategory || 'General').trim().toLowerCase();
+}
+
+function isSameFinding(a, b) {
+  return categoryKey(a) === categoryKey(b) && a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Merge one layer's violations from several models. `violationsByModel` maps
+ * model key → violations with resolved spans. Each merged violation takes the
+ * wording and span of its most confident report and lists the models that
+ * backed it in `models`.
+ */
+function mergeViolations(violationsByModel, { strategy = 'agreement' } = {}) {
+  const modelKeys = Object.keys(violationsByModel);
+  const findings = [];
+
+  modelKeys.forEach(model => {
+    violationsByModel[model].forEach(violation => {
+      const finding = findings.find(f => !f.reports.some(r => r.model === model) && f.reports.some(r => isSameFinding(r.violation, violation)));
+      if (finding) finding.reports.push({ model, violation });
+      else findings.push({ reports: [{ model, violation }] });
+    });
+  });
+
+  return findings
+    .filter(({ reports }) => strategy !== 'agreement' || reports.length === modelKeys.length)
+    .map(({ reports }) => {
+      const best = reports.reduce((a, b) => ((b.violation.confidence || 0) > (a.violation.confidence || 0) ? b : a));
+      const meanConfidence = reports.reduce((sum, r) => sum + (r.violation.confidence || 0), 0) / reports.length;
+      return {
+        ...best.violation,
+        confidence: Math.round(meanConfidence * (reports.length / modelKeys.length) * 1000) / 1000,
+        models: reports.map(r => r.model)
+      };
+    });
+}
+
+export { CONSENSUS_STRATEGIES, mergeViolations };
@@ -0,0 +1,182 @@
+// Scoring for offline evaluation runs (scripts/evaluate.js).
+//
+// A predicted violation matches an expected one when both name the same
+// ruleCategory (case-insensitive) and their spans in the layer text overlap.
+// Matching is one-to-one, so two findings on one expected violation count one
+// true positive and one false positive.
+
+const OVERALL = 'overall';
+
+function categoryKey(violation) {
+  return (violation.ruleCategory || 'General').trim().toLowerCase();
+}
+
+// Expected violations may omit offsets; locate them like resolveViolationSpans would
+function locateExpected(text, expected) {
+  const claimed = [];
+  return expected.map(violation => {
+    if (Number.isInteger(violation.start) && Number.isInteger(violation.end)) {
+      return { ...violation, category: categoryKey(violation) };
+    }
+
+    let start = text.indexOf(violation.original);
+    while (start !== -1 && claimed.includes(start)) {
+      start = text.indexOf(violation.original, start + 1);
+    }
+    if (start !== -1) claimed.push(start);
+    return {
+      ...violation,
+      category: categoryKey(violation),
+      start: start === -1 ? null : start,
+      end: start === -1 ? null : start + violation.original.length
+    };
+  });
+}
+
+function spansOverlap(a, b) {
+  if (a.start === null || b.start === null || a.start === undefined || b.start === undefined) {
+    return a.original === b.original;
+  }
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Match one layer's predictions against its labels.
+ * Returns `{ matched: [{ expected, predicted }], falsePositives, falseNegatives }`.
+ */
+function matchLayer(text, expected = [], predicted = []) {
+  const located = locateExpected(text, expected);
+  const remaining = predicted.map(violation => ({ ...violation, category: categoryKey(violation) }));
+  const matched = [];
+  const falseNegatives = [];
+
+  located.forEach(label => {
+    const index = remaining.findIndex(prediction => prediction.category === label.category && spansOverlap(prediction, label));
+    if (index === -1) {
+      falseNegatives.push(label);
+      return;
+    }
+    matched.push({ expected: label, predicted: remaining[index] });
+    remaining.splice(index, 1);
+  });
+
+  return { matched, falsePositives: remaining, falseNegatives };
+}
+
+function createCounts() {
+  return { truePositives: 0, falsePositives: 0, falseNegatives: 0, negativeLayers: 0, flaggedNegativeLayers: 0, suggestionsChecked: 0, suggestionsCorrect: 0 };
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function toMetrics(counts) {
+  return {
+    ...counts,
+    precision: ratio(counts.truePositives, counts.truePositives + counts.falsePositives),
+    recall: ratio(counts.truePositives, counts.truePositives + counts.falseNegatives),
+    // Share of layers with no label in this category that were flagged for it anyway
+    falsePositiveRate: ratio(counts.flaggedNegativeLayers, counts.negativeLayers),
+    suggestionAccuracy: ratio(counts.suggestionsCorrect, counts.suggestionsChecked)
+  };
+}
+
+/**
+ * Score a run. `items` are `{ id, text, expected, predicted }`; returns
+ * per-category and overall metrics plus each item's misses and extra findings.
+ */
+function scoreRun(items) {
+  const layers = items.map(item => ({ item, ...matchLayer(item.text, item.expected, item.predicted) }));
+  const categories = new Set();
+  layers.forEach(({ item }) => {
+    (item.expected || []).forEach(v => categories.add(categoryKey(v)));
+    (item.predicted || []).forEach(v => categories.add(categoryKey(v)));
+  });
+
+  const counts = Object.fromEntries([OVERALL, ...[...categories].sort()].map(category => [category, createCounts()]));
+
+  layers.forEach(({ item, matched, falsePositives, falseNegatives }) => {
+    const labelled = new Set((item.expected || []).map(categoryKey));
+    const flagged = new Set(falsePositives.map(v => v.category));
+
+    const add = (category, field, amount = 1) => {
+      counts[category][field] += amount;
+      counts[OVERALL][field] += amount;
+    };
+
+    matched.forEach(({ expected, predicted }) => {
+      add(expected.category, 'truePositives');
+      if (typeof expected.suggested === 'string') {
+        add(expected.category, 'suggestionsChecked');
+        if (predicted.suggested === expected.suggested) add(expected.category, 'suggestionsCorrect');
+      }
+    });
+    falsePositives.forEach(v => add(v.category, 'falsePositives'));
+    falseNegatives.forEach(v => add(v.category, 'falseNegatives'));
+
+    categories.forEach(category => {
+      if (labelled.has(category)) return;
+      counts[category].negativeLayers++;
+      if (flagged.has(category)) counts[category].flaggedNegativeLayers++;
+    });
+    counts[OVERALL].negativeLayers += labelled.size === 0 ? 1 : 0;
+    counts[OVERALL].flaggedNegativeLayers += labelled.size === 0 && falsePositives.length > 0 ? 1 : 0;
+  });
+
+  const describe = v => `${v.ruleCategory || 'General'}: "${v.original}"${typeof v.suggested === 'string' ? ` → "${v.suggested}"` : ''}`;
+
+  return {
+    metrics: Object.fromEntries(Object.entries(counts).map(([category, c]) => [category, toMetrics(c)])),
+    items: Object.fromEntries(layers.map(({ item, falsePositives, falseNegatives }) => [item.id, {
+      missed: falseNegatives.map(describe),
+      unexpected: falsePositives.map(describe)
+    }]))
+  };
+}
+
+const DIFFED_METRICS = ['precision', 'recall', 'falsePositiveRate', 'suggestionAccuracy'];
+// For these a higher value is worse
+const LOWER_IS_BETTER = ['falsePositiveRate'];
+
+/**
+ * Compare a scored run with a saved baseline. A regression is any metric that
+ * moved the wrong way by more than `tolerance`.
+ */
+function diffRuns(current, baseline, { tolerance = 0 } = {}) {
+  const categories = [...new Set([...Object.keys(baseline.metrics || {}), ...Object.keys(current.metrics)])];
+
+  const metrics = Object.fromEntries(categories.map(category => {
+    const before = baseline.metrics?.[category] || {};
+    const after = current.metrics[category] || {};
+    return [category, Object.fromEntries(DIFFED_METRICS.map(metric => {
+      const delta = before[metric] === null || before[metric] === undefined || after[metric] === null || after[metric] === undefined
+        ? null
+        : Math.round((after[metric] - before[metric]) * 1000) / 1000;
+      return [metric, { before: before[metric] ?? null, after: after[metric] ?? null, delta }];
+    }))];
+  }));
+
+  const regressions = Object.entries(metrics).flatMap(([category, values]) =>
+    Object.entries(values)
+      .filter(([metric, { delta }]) => delta !== null &&
+        (LOWER_IS_BETTER.includes(metric) ? delta > tolerance : delta < -tolerance))
+      .map(([metric, value]) => ({ category, metric, ...value }))
+  );
+
+  const newIssues = (now, before = []) => now.filter(issue => !before.includes(issue));
+  const items = Object.entries(current.items).flatMap(([id, now]) => {
+    const before = baseline.items?.[id] || { missed: [], unexpected: [] };
+    const change = {
+      id,
+      newlyMissed: newIssues(now.missed, before.missed),
+      newlyUnexpected: newIssues(now.unexpected, before.unexpected),
+      fixed: [...newIssues(before.missed, now.missed), ...newIssues(before.unexpected, now.unexpected)]
+    };
+    return change.newlyMissed.length || change.newlyUnexpected.length || change.fixed.length ? [change] : [];
+  });
+
+  return { metrics, regressions, items };
+}
+
+export { OVERALL, matchLayer, scoreRun, diffRuns };
@@ -0,0 +1,311 @@
+// Published schema for guideline rows and the validator behind the guidelines API.
+// The validator is hand-written so errors can name the exact path; the JSON
+// Schema below is generated from the same key lists and served for editors.
+
+const ENFORCEMENT_CONTEXT_KEYS = {
+  ideal: 'string',
+  abbreviation: 'string',
+  avoid: 'string',
+  required_triggers: 'string[]',
+  exclude_patterns: 'string[]',
+  when_space_constrained: 'boolean'
+};
+
+const PATTERN_OBJECT_KEYS = {
+  pattern: 'string',
+  flags: 'string',
+  replacement: 'string',
+  description: 'string',
+  severity: 'string'
+};
+
+// Lowest first. A guideline's severity applies to all its rules; a `severity`
+// key in a rules object or pattern object overrides it for the rules inside.
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+const DEFAULT_SEVERITY = 'medium';
+
+const EXAMPLE_KEYS = ['correct', 'incorrect'];
+
+const GUIDELINE_FIELDS = {
+  category: 'string',
+  title: 'string',
+  description: 'string',
+  rules: 'object',
+  examples: 'object',
+  severity: 'string',
+  is_active: 'boolean',
+  guideline_set_id: 'string'
+};
+
+const REQUIRED_FIELDS = ['category', 'title', 'rules'];
+const NULLABLE_FIELDS = ['description', 'examples', 'severity', 'guideline_set_id'];
+const REGEX_FLAGS = /^[dgimsuy]*$/;
+
+const stringArraySchema = { type: 'array', items: { type: 'string', minLength: 1 } };
+const severitySchema = { type: 'string', enum: SEVERITY_LEVELS };
+
+const enforcementContextSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(Object.entries(ENFORCEMENT_CONTEXT_KEYS).map(([key, type]) => [
+    key,
+    type === 'string[]' ? stringArraySchema : { type }
+  ]))
+};
+
+const patternSchema = {
+  oneOf: [
+    { type: 'string', minLength: 1, format: 'regex' },
+    {
+      type: 'object',
+      additionalProperties: false,
+      required: ['pattern'],
+      properties: Object.fromEntries(Object.keys(PATTERN_OBJECT_KEYS).map(key => [
+        key,
+        key === 'pattern' ? { type: 'string', minLength: 1, format: 'regex' } :
+          key === 'severity' ? severitySchema : { type: 'string' }
+      ]))
+    }
+  ]
+};
+
+const GUIDELINE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'https://content-lint.vercel.app/schemas/guideline.json',
+  title: 'Content Lint guideline',
+  type: 'object',
+  additionalProperties: false,
+  required: REQUIRED_FIELDS,
+  properties: {
+    category: { type: 'string', minLength: 1 },
+    title: { type: 'string', minLength: 1 },
+    description: { type: ['string', 'null'] },
+    severity: { type: ['string', 'null'], enum: [...SEVERITY_LEVELS, null] },
+    is_active: { type: 'boolean' },
+    guideline_set_id: { type: ['string', 'null'], format: 'uuid' },
+    rules: { $ref: '#/$defs/rules' },
+    examples: {
+      type: ['object', 'null'],
+      additionalProperties: false,
+      properties: Object.fromEntries(EXAMPLE_KEYS.map(key => [key, stringArraySchema]))
+    }
+  },
+  $defs: {
+    rules: {
+      type: 'object',
+      properties: {
+        detect_patterns: { type: 'array', items: patternSchema },
+        exclude_patterns: { type: 'array', items: { type: 'string', minLength: 1, format: 'regex' } },
+        severity: severitySchema
+      },
+      additionalProperties: { $ref: '#/$defs/ruleValue' }
+    },
+    ruleValue: {
+      oneOf: [
+        { type: 'string', minLength: 1 },
+        stringArraySchema,
+        {
+          type: 'object',
+          required: ['enforcement_context'],
+          properties: {
+            description: { type: 'string' },
+            severity: severitySchema,
+            enforcement_context: enforcementContextSchema
+          },
+          additionalProperties: { $ref: '#/$defs/ruleValue' }
+        },
+        { $ref: '#/$defs/rules' }
+      ]
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function checkRegex(source, flags, path, errors) {
+  try {
+    new RegExp(source, flags);
+  } catch (err) {
+    errors.push({ path, message: err.message });
+  }
+}
+
+function validateSeverity(value, path, errors) {
+  if (!SEVERITY_LEVELS.includes(value)) {
+    errors.push({ path, message: `Expected one of: ${SEVERITY_LEVELS.join(', ')}` });
+  }
+}
+
+function validateStringArray(value, path, errors) {
+  if (!Array.isArray(value)) {
+    errors.push({ path, message: `Expected an array of strings, got ${typeOf(value)}` });
+    return;
+  }
+  value.forEach((item, index) => {
+    if (typeof item !== 'string' || !item.trim()) {
+      errors.push({ path: `${path}[${index}]`, message: 'Expected a non-empty string' });
+    }
+  });
+}
+
+function validateEnforcementContext(context, path, errors) {
+  if (typeOf(context) !== 'object') {
+    errors.push({ path, message: `Expected an object, got ${typeOf(context)}` });
+    return;
+  }
+
+  Object.entries(context).forEach(([key, value]) => {
+    const expected = ENFORCEMENT_CONTEXT_KEYS[key];
+    const keyPath = `${path}.${key}`;
+
+    if (!expected) {
+      errors.push({
+        path: keyPath,
+        message: `Unknown enforcement_context key "${key}". Allowed: ${Object.keys(ENFORCEMENT_CONTEXT_KEYS).join(', ')}`
+      });
+    } else if (expected === 'string[]') {
+      validateStringArray(value, keyPath, errors);
+      if (key === 'exclude_patterns' && Array.isArray(value)) {
+        value.forEach((pattern, index) => {
+          if (typeof pattern === 'string') checkRegex(pattern, 'i', `${keyPath}[${index}]`, errors);
+        });
+      }
+    } else if (typeOf(value) !== expected) {
+      errors.push({ path: keyPath, message: `Expected ${expected}, got ${typeOf(value)}` });
+    }
+  });
+}
+
+function validatePattern(pattern, path, errors) {
+  if (typeof pattern === 'string') {
+    if (!pattern) errors.push({ path, message: 'Pattern must not be empty' });
+    else checkRegex(pattern, 'i', path, errors);
+    return;
+  }
+
+  if (typeOf(pattern) !== 'object') {
+    errors.push({ path, message: `Expected a regex string or pattern object, got ${typeOf(pattern)}` });
+    return;
+  }
+
+  Object.entries(pattern).forEach(([key, value]) => {
+    if (!PATTERN_OBJECT_KEYS[key]) {
+      errors.push({ path: `${path}.${key}`, message: `Unknown pattern key "${key}". Allowed: ${Object.keys(PATTERN_OBJECT_KEYS).join(', ')}` });
+    } else if (typeof value !== 'string') {
+      errors.push({ path: `${path}.${key}`, message: `Expected string, got ${typeOf(value)}` });
+    } else if (key === 'severity') {
+      validateSeverity(value, `${path}.${key}`, errors);
+    }
+  });
+
+  if (typeof pattern.pattern !== 'string' || !pattern.pattern) {
+    errors.push({ path: `${path}.pattern`, message: 'Pattern object requires a non-empty "pattern"' });
+    return;
+  }
+  if (pattern.flags !== undefined && !REGEX_FLAGS.test(pattern.flags)) {
+    errors.push({ path: `${path}.flags`, message: `Invalid regex flags "${pattern.flags}"` });
+    return;
+  }
+  checkRegex(pattern.pattern, pattern.flags || 'i', `${path}.pattern`, errors);
+}
+
+function validateRuleValue(value, path, errors) {
+  const type = typeOf(value);
+
+  if (type === 'string') {
+    if (!value.trim()) errors.push({ path, message: 'Rule text must not be empty' });
+  } else if (type === 'array') {
+    validateStringArray(value, path, errors);
+  } else if (type === 'object') {
+    validateRulesObject(value, path, errors);
+  } else {
+    errors.push({ path, message: `Expected a string, array of strings or object, got ${type}` });
+  }
+}
+
+function validateRulesObject(rules, path, errors) {
+  Object.entries(rules).forEach(([key, value]) => {
+    const keyPath = `${path}.${key}`;
+
+    if (key === 'enforcement_context') {
+      validateEnforcementContext(value, keyPath, errors);
+    } else if (key === 'severity') {
+      validateSeverity(value, keyPath, errors);
+    } else if (key === 'detect_patterns') {
+      if (!Array.isArray(value)) {
+        errors.push({ path: keyPath, message: `Expected an array, got ${typeOf(value)}` });
+      } else {
+        value.forEach((pattern, index) => validatePattern(pattern, `${keyPath}[${index}]`, errors));
+      }
+    } else if (key === 'exclude_patterns') {
+      validateStringArray(value, keyPath, errors);
+      if (Array.isArray(value)) {
+        value.forEach((pattern, index) => {
+          if (typeof pattern === 'string' && pattern) checkRegex(pattern, 'i', `${keyPath}[${index}]`, errors);
+        });
+      }
+    } else {
+      validateRuleValue(value, keyPath, errors);
+    }
+  });
+}
+
+/**
+ * Validate a guideline row. With `partial`, required fields may be missing
+ * (PATCH bodies). Returns a list of `{ path, message }`; empty means valid.
+ */
+function validateGuideline(guideline, { partial = false } = {}) {
+  const errors = [];
+
+  if (typeOf(guideline) !== 'object') {
+    return [{ path: '$', message: `Expected a guideline object, got ${typeOf(guideline)}` }];
+  }
+
+  if (!partial) {
+    REQUIRED_FIELDS.forEach(field => {
+      if (guideline[field] === undefined || guideline[field] === null || guideline[field] === '') {
+        errors.push({ path: `$.${field}`, message: 'Required' });
+      }
+    });
+  }
+
+  Object.entries(guideline).forEach(([field, value]) => {
+    const expected = GUIDELINE_FIELDS[field];
+    const path = `$.${field}`;
+
+    if (!expected) {
+      errors.push({ path, message: `Unknown field "${field}". Allowed: ${Object.keys(GUIDELINE_FIELDS).join(', ')}` });
+      return;
+    }
+    if (value === undefined || (value === null && NULLABLE_FIELDS.includes(field))) return;
+
+    if (typeOf(value) !== expected) {
+      errors.push({ path, message: `Expected ${expected}, got ${typeOf(value)}` });
+      return;
+    }
+
+    if (field === 'rules') {
+      validateRulesObject(value, path, errors);
+    } else if (field === 'examples') {
+      Object.entries(value).forEach(([key, examples]) => {
+        if (!EXAMPLE_KEYS.includes(key)) {
+          errors.push({ path: `${path}.${key}`, message: `Unknown examples key "${key}". Allowed: ${EXAMPLE_KEYS.join(', ')}` });
+        } else {
+          validateStringArray(examples, `${path}.${key}`, errors);
+        }
+      });
+    } else if (field === 'severity') {
+      validateSeverity(value, path, errors);
+    } else if ((field === 'category' || field === 'title') && !value.trim()) {
+      errors.push({ path, message: 'Must not be empty' });
+    }
+  });
+
+  return errors;
+}
+
+export { GUIDELINE_SCHEMA, SEVERITY_LEVELS, DEFAULT_SEVERITY, validateGuideline };
@@ -0,0 +1,102 @@
+// Structured logging with per-request trace IDs.
+//
+// Every line is one JSON object: { time, level, traceId, msg, ...fields }.
+// The trace ID comes from AsyncLocalStorage, so anything running on behalf of
+// a request (cache lookups, model retries, timers) logs it without passing it
+// around. LOG_FORMAT=pretty prints plain lines for local development.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const TRACE_HEADER = 'x-request-id';
+// Incoming IDs are echoed into logs and headers, so only accept plain tokens
+const VALID_TRACE_ID = /^[\w.:-]{1,128}$/;
+
+const traceStorage = new AsyncLocalStorage();
+
+function getMinLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+}
+
+/**
+ * Use the caller's `X-Request-Id` when it is a sane token, so the plugin and
+ * the API share one ID; otherwise start a new trace.
+ */
+function resolveTraceId(req) {
+  const provided = req.headers?.[TRACE_HEADER];
+  return typeof provided === 'string' && VALID_TRACE_ID.test(provided) ? provided : crypto.randomUUID();
+}
+
+function runWithTrace(traceId, fn) {
+  return traceStorage.run({ traceId }, fn);
+}
+
+function getTraceId() {
+  return traceStorage.getStore()?.traceId || null;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status && { status: error.status }),
+    ...(error.reason && { reason: error.reason }),
+    stack: error.stack
+  };
+}
+
+// Plain objects become fields, errors become `error`, anything else is `detail`
+function toFields(details) {
+  const fields = {};
+  const extra = [];
+
+  details.forEach(detail => {
+    if (detail instanceof Error) {
+      fields.error = serializeError(detail);
+    } else if (detail && typeof detail === 'object' && !Array.isArray(detail)) {
+      Object.assign(fields, detail);
+    } else if (detail !== undefined) {
+      extra.push(detail);
+    }
+  });
+
+  if (extra.length > 0) fields.detail = extra.length === 1 ? extra[0] : extra;
+  return fields;
+}
+
+function write(level, message, details) {
+  if (LEVELS[level] < getMinLevel()) return;
+
+  const traceId = getTraceId();
+  const fields = toFields(details);
+  const sink = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+
+  if (process.env.LOG_FORMAT === 'pretty') {
+    const suffix = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    sink(`${level.toUpperCase()}${traceId ? ` [${traceId}]` : ''} ${message}${suffix}`);
+    return;
+  }
+
+  let line;
+  try {
+    line = JSON.stringify({ time: new Date().toISOString(), level, ...(traceId && { traceId }), msg: message, ...fields });
+  } catch (err) {
+    // Circular details must not take the request down with them
+    line = JSON.stringify({ time: new Date().toISOString(), level, ...(traceId && { traceId }), msg: message, detail: String(details) });
+  }
+  sink(line);
+}
+
+/**
+ * `logger.info(message, ...details)`. Details may be a fields object, an
+ * Error or any other value, e.g. `logger.warn('Lookup failed', err, { table })`.
+ */
+const logger = {
+  debug: (message, ...details) => write('debug', message, details),
+  info: (message, ...details) => write('info', message, details),
+  warn: (message, ...details) => write('warn', message, details),
+  error: (message, ...details) => write('error', message, details)
+};
+
+export { logger, resolveTraceId, runWithTrace, getTraceId, TRACE_HEADER };
@@ -0,0 +1,118 @@
+// In-process metrics rendered in the Prometheus text exposition format.
+//
+// Each serverless instance keeps its own counters from cold start, so
+// Prometheus sees one series per instance; aggregate with sum()/rate() as
+// usual. Gauges and collected counters are computed at scrape time.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+// Series are keyed by label values in label-name order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    /** Monotonic counter: `inc(labels, amount = 1)`. */
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      return register({
+        name: prefix + name,
+        help,
+        type: 'counter',
+        inc(labels = {}, amount = 1) {
+          const key = seriesKey(labelNames, labels);
+          const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+          current.value += amount;
+          series.set(key, current);
+        },
+        samples: () => [...series.values()].map(({ labels, value }) => ({ suffix: '', labels, value }))
+      });
+    },
+
+    /** Histogram with cumulative buckets: `observe(labels, value)`. */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const series = new Map();
+      const bounds = [...buckets].sort((a, b) => a - b);
+      return register({
+        name: prefix + name,
+        help,
+        type: 'histogram',
+        observe(labels = {}, value) {
+          const key = seriesKey(labelNames, labels);
+          const current = series.get(key) || { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+          bounds.forEach((bound, index) => {
+            if (value <= bound) current.counts[index]++;
+          });
+          current.sum += value;
+          current.count++;
+          series.set(key, current);
+        },
+        samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...bounds.map((bound, index) => ({ suffix: '_bucket', labels: { ...labels, le: formatValue(bound) }, value: counts[index] })),
+          { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+          { suffix: '_sum', labels, value: sum },
+          { suffix: '_count', labels, value: count }
+        ])
+      });
+    },
+
+    /**
+     * Metric whose samples are read at scrape time, for values that live
+     * elsewhere (e.g. cache store counters). `collect()` returns [{ labels, value }].
+     */
+    collected(name, help, type, collect) {
+      return register({
+        name: prefix + name,
+        help,
+        type,
+        samples: () => collect().map(({ labels = {}, value }) => ({ suffix: '', labels, value }))
+      });
+    },
+
+    render() {
+      return metrics.map(metric => {
+        let samples;
+        try {
+          samples = metric.samples();
+        } catch (err) {
+          samples = [];
+        }
+        return [
+          `# HELP ${metric.name} ${metric.help}`,
+          `# TYPE ${metric.name} ${metric.type}`,
+          ...samples.map(({ suffix, labels, value }) => `${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`)
+        ].join('\n');
+      }).join('\n\n') + '\n';
+    }
+  };
+}
+
+export { createMetricsRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,71 @@
+/**
+ * In-process model for offline runs (evaluation, tests). `respond(request)`
+ * gets `{ systemPrompt, promptLayers, textLayers, attempt }` and returns
+ * `{ content, usage? }`, where content is the raw text a model would send back.
+ */
+function createMockModelConfig({ name = 'Mock model', respond }) {
+  return {
+    provider: 'mock',
+    envKey: null,
+    model: 'mock',
+    name,
+    pricing: null,
+    respond,
+    parseResponse: (data) => data?.content || '',
+    parseUsage: (data) => data?.usage || null
+  };
+}
+
+/**
+ * Mock model that answers attempt N with `steps[N - 1]` (the last step repeats),
+ * so retries can be scripted. A step is raw response text, a `{ content, usage }`
+ * body, an Error to throw, or `request => step`. `calls` lists every request.
+ */
+function createScriptedModelConfig(steps, { name = 'Scripted model' } = {}) {
+  const calls = [];
+  const respond = async (request) => {
+    calls.push({ attempt: request.attempt, layerIds: request.textLayers.map(layer => layer.id) });
+    let step = steps[Math.min(request.attempt, steps.length) - 1];
+    if (typeof step === 'function') step = await step(request);
+    if (step instanceof Error) throw step;
+    return typeof step === 'string' ? { content: step } : step;
+  };
+  return { ...createMockModelConfig({ name, respond }), calls };
+}
+
+const compliantLayer = layer => ({ id: layer.id, violations: [], confidence: 0.95 });
+
+// Crafted responses for createScriptedModelConfig, covering what real models
+// get wrong: each one exercises a parsing, filtering or retry path
+const SCRIPTED_RESPONSES = {
+  compliant: ({ textLayers }) => JSON.stringify(textLayers.map(compliantLayer)),
+  // Cut off mid-array, as when the output token limit is hit
+  malformedJson: ({ textLayers }) => JSON.stringify(textLayers.map(compliantLayer)).slice(0, -12),
+  // Chatty preamble and a code fence around otherwise valid output
+  wrappedJson: ({ textLayers }) => `Here is the analysis:\n\`\`\`json\n${JSON.stringify(textLayers.map(compliantLayer))}\n\`\`\`\nLet me know if you need more.`,
+  // One unreadable layer object in an otherwise valid array
+  corruptLayer: ({ textLayers }) => `[${textLayers.map((layer, index) => index === 0
+    ? `{id: ${JSON.stringify(layer.id)}, violations: []}`
+    : JSON.stringify(compliantLayer(layer))).join(',')}]`,
+  emptyResponse: '',
+  notAnArray: () => JSON.stringify({ summary: 'All layers look fine' }),
+  // Drops the last layer and answers for an ID that was never sent
+  missingLayerIds: ({ textLayers }) => JSON.stringify([
+    ...textLayers.slice(0, -1).map(compliantLayer),
+    { id: 'unknown-layer', violations: [], confidence: 0.95 }
+  ]),
+  // Flags text that is not in the layer, a no-op fix and an out-of-range span
+  hallucinatedViolations: ({ textLayers }) => JSON.stringify(textLayers.map(layer => ({
+    id: layer.id,
+    violations: [
+      { original: 'Lorem ipsum', suggested: 'Dolor sit', confidence: 0.99, ruleCategory: 'General', ruleDescription: 'Not in the text' },
+      { original: layer.text, suggested: layer.text, confidence: 0.99, ruleCategory: 'General', ruleDescription: 'Changes nothing' },
+      { original: layer.text, suggested: `${layer.text}!`, start: layer.text.length + 5, end: layer.text.length * 2 + 5, confidence: 0.99, ruleCategory: 'General', ruleDescription: 'Offsets past the end' }
+    ],
+    confidence: 0.9
+  }))),
+  rateLimited: () => Object.assign(new Error('Scripted model 429: rate limited'), { status: 429 }),
+  serverError: () => Object.assign(new Error('Scripted model 503: unavailable'), { status: 503 })
+};
+
+export { createMockModelConfig, createScriptedModelConfig, SCRIPTED_RESPONSES };
@@ -0,0 +1,90 @@
+// Recorded model responses for deterministic offline runs.
+//
+// MODEL_PROVIDER_MODE=record sends requests as usual and saves each response;
+// MODEL_PROVIDER_MODE=replay answers from the saved files and never touches
+// the network. A fixture is keyed by model, a hash of the system prompt and a
+// hash of the layer set sent with it, so any prompt or layer change is a miss:
+//
+//   <MODEL_FIXTURES_DIR>/<model>/<promptHash>-<layersHash>.json
+//   { model, promptHash, layersHash, layerIds, attempts: { "1": { status, body, recordedAt } } }
+//
+// Each attempt is stored separately so a recorded retry (e.g. after malformed
+// JSON) replays the same way.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const PROVIDER_MODES = ['live', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = 'eval/fixtures';
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+function getProviderMode() {
+  const mode = (process.env.MODEL_PROVIDER_MODE || 'live').toLowerCase();
+  if (!PROVIDER_MODES.includes(mode)) {
+    throw new Error(`MODEL_PROVIDER_MODE must be one of: ${PROVIDER_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function createFixtureStore({ dir = process.env.MODEL_FIXTURES_DIR || DEFAULT_FIXTURES_DIR } = {}) {
+  const root = path.resolve(dir);
+
+  const locate = ({ model, systemPrompt, promptLayers }) => {
+    const promptHash = hashText(systemPrompt);
+    const layersHash = hashText(promptLayers);
+    return {
+      promptHash,
+      layersHash,
+      file: path.join(root, model.replace(/[^\w.-]+/g, '_'), `${promptHash}-${layersHash}.json`)
+    };
+  };
+
+  const readFile = file => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new Error(`Unreadable model fixture ${file}: ${err.message}`);
+    }
+  };
+
+  return {
+    dir: root,
+
+    /**
+     * The recorded `{ status, body }` for this request and attempt. Attempts
+     * beyond those recorded get the last one. Returns null when nothing matches.
+     */
+    read(request, attempt = 1) {
+      const { file } = locate(request);
+      const fixture = readFile(file);
+      if (!fixture?.attempts) return null;
+
+      const recorded = Object.keys(fixture.attempts).map(Number).sort((a, b) => a - b);
+      const key = recorded.includes(attempt) ? attempt : recorded.filter(n => n <= attempt).pop() ?? recorded[0];
+      return key === undefined ? null : { ...fixture.attempts[key], file };
+    },
+
+    write(request, attempt, { status, body }) {
+      const { promptHash, layersHash, file } = locate(request);
+      const fixture = readFile(file) || {
+        model: request.model,
+        promptHash,
+        layersHash,
+        layerIds: JSON.parse(request.promptLayers).map(layer => layer.id),
+        attempts: {}
+      };
+      fixture.attempts[attempt] = { status, body, recordedAt: new Date().toISOString() };
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+      return file;
+    }
+  };
+}
+
+export { createFixtureStore, getProviderMode, PROVIDER_MODES };
@@ -0,0 +1,140 @@
+// Model output: the JSON schema we ask for and a tolerant parser for what
+// actually comes back.
+//
+// Models wrap JSON in prose and code fences, and long batches get cut off at
+// the output token limit. Rather than parse the whole array or nothing, the
+// parser reads each top-level layer object on its own, so one truncated or
+// corrupt object costs that layer only and the caller can re-request it.
+
+const VIOLATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    original: { type: 'string' },
+    suggested: { type: 'string' },
+    start: { type: 'integer' },
+    end: { type: 'integer' },
+    confidence: { type: 'number' },
+    ruleRef: { type: 'string' },
+    ruleCategory: { type: 'string' },
+    ruleDescription: { type: 'string' }
+  },
+  required: ['original', 'suggested', 'ruleCategory']
+};
+
+const LAYER_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    violations: { type: 'array', items: VIOLATION_SCHEMA },
+    confidence: { type: 'number' }
+  },
+  required: ['id', 'violations']
+};
+
+/** JSON schema of the result array, as used by llama.cpp, vLLM and Ollama. */
+const LAYER_RESULTS_SCHEMA = { type: 'array', items: LAYER_RESULT_SCHEMA };
+
+// Gemini takes an OpenAPI subset with upper-case type names
+function toGeminiSchema(schema) {
+  const converted = { ...schema, type: schema.type.toUpperCase() };
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+    converted.propertyOrdering = Object.keys(schema.properties);
+  }
+  return converted;
+}
+
+// OpenAI-style json_schema response formats need an object at the root
+const WRAPPED_RESULTS_SCHEMA = {
+  type: 'object',
+  properties: { results: LAYER_RESULTS_SCHEMA },
+  required: ['results']
+};
+
+function stripCodeFences(content) {
+  return (content || '').replace(/```(?:json)?/gi, '').trim();
+}
+
+// Trailing commas are the most common hand-written-JSON slip in model output
+function parseWithRepair(json) {
+  try {
+    return JSON.parse(json);
+  } catch {
+    try {
+      return JSON.parse(json.replace(/,\s*([}\]])/g, '$1'));
+    } catch {
+      return undefined;
+    }
+  }
+}
+
+function toResultArray(parsed) {
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed?.results)) return parsed.results;
+  return null;
+}
+
+const isLayerObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) && value.id !== undefined;
+
+/**
+ * Recover layer results from raw model text: a bare array or `{ results: [...] }`,
+ * possibly inside prose or code fences, possibly cut off. Returns
+ * `{ layers, complete }`; `complete` is false when the array never closed or
+ * an element could not be read, i.e. when some layers may be missing.
+ */
+function parseLayerResults(content) {
+  const text = stripCodeFences(content);
+  if (!text) return { layers: [], complete: false };
+
+  const whole = toResultArray(parseWithRepair(text));
+  if (whole) return { layers: whole.filter(isLayerObject), complete: whole.every(isLayerObject) };
+
+  // The result array is the first "[" that opens an object or closes at once
+  const arrayStart = text.search(/\[\s*[{\]]/);
+  if (arrayStart === -1) return { layers: [], complete: false };
+
+  const layers = [];
+  let dropped = 0;
+  let closed = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let elementStart = -1;
+
+  for (let i = arrayStart + 1; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      if (depth === 0) elementStart = i;
+      depth++;
+    } else if (char === '}' || char === ']') {
+      if (depth === 0) {
+        closed = char === ']';
+        break;
+      }
+      depth--;
+      if (depth === 0 && elementStart !== -1) {
+        const element = parseWithRepair(text.slice(elementStart, i + 1));
+        if (isLayerObject(element)) layers.push(element);
+        else dropped++;
+        elementStart = -1;
+      }
+    }
+  }
+
+  return { layers, complete: closed && dropped === 0 };
+}
+
+export { LAYER_RESULTS_SCHEMA, WRAPPED_RESULTS_SCHEMA, toGeminiSchema, parseLayerResults };
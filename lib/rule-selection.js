@@ -0,0 +1,60 @@
+// Relevance-based rule selection. Each model batch only needs the guidelines
+// that can apply to its layers, so the prompt lists those, most relevant
+// first, up to a token budget. Relevance here is lexical: the words a
+// guideline uses (title, rules, examples) against the words in the layer
+// texts and their UI roles.
+
+const MIN_TERM_LENGTH = 3;
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'not', 'are', 'but', 'use', 'any', 'all', 'can', 'from', 'into',
+  'only', 'than', 'that', 'this', 'when', 'what', 'your', 'you', 'our', 'its', 'they', 'them',
+  'has', 'have', 'should', 'must', 'never', 'always'
+]);
+
+/** Lower-cased words of at least three letters or digits, minus stop words. */
+function extractTerms(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return new Set(words.filter(word => word.length >= MIN_TERM_LENGTH && !STOP_WORDS.has(word)));
+}
+
+/** Cosine similarity of two term sets, between 0 and 1. */
+function termSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(term => {
+    if (b.has(term)) shared++;
+  });
+  return shared / Math.sqrt(a.size * b.size);
+}
+
+/**
+ * Pick candidates `{ score, tokens }` by descending score while they fit in
+ * `budgetTokens`; a candidate that does not fit is skipped so smaller ones can
+ * still be taken. The best candidate is always kept, so a prompt never ends up
+ * without rules. Returns `{ selected, overBudget }`, with `selected` in the
+ * original order so equal selections give identical prompts.
+ */
+function selectWithinBudget(candidates, budgetTokens) {
+  const ranked = candidates
+    .map((candidate, index) => ({ candidate, index }))
+    .sort((a, b) => b.candidate.score - a.candidate.score || a.index - b.index);
+
+  const kept = [];
+  const overBudget = [];
+  let used = 0;
+  ranked.forEach(entry => {
+    if (kept.length === 0 || used + entry.candidate.tokens <= budgetTokens) {
+      kept.push(entry);
+      used += entry.candidate.tokens;
+    } else {
+      overBudget.push(entry.candidate);
+    }
+  });
+
+  return {
+    selected: kept.sort((a, b) => a.index - b.index).map(entry => entry.candidate),
+    overBudget
+  };
+}
+
+export { extractTerms, termSimilarity, selectWithinBudget };
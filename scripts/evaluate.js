@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+// Offline evaluation: run a labelled dataset through the full analysis
+// pipeline and report precision, recall and false-positive rate per
+// ruleCategory, optionally against a saved baseline.
+//
+//   npm run eval -- [--dataset eval/datasets/core.json] [--model mock|scripted:<steps>|<model key>]
+//                   [--record | --replay] [--fixtures eval/fixtures]
+//                   [--baseline eval/baselines/core.json] [--save-baseline <path>]
+//                   [--fail-on-regression[=0.02]] [--min-confidence 0.5] [--calibrate] [--json]
+//
+// The default `mock` model answers each layer with the dataset's `recorded`
+// violations, so runs need no network or API keys and measure everything
+// after the model call (parsing, span resolution, rule engine, glossary,
+// suppression). `scripted:malformedJson,mock` plays SCRIPTED_RESPONSES per
+// attempt to exercise retries. Pass a model key from MODEL_CONFIGS to score a
+// real model; --record saves its responses and --replay serves them offline.
+// --calibrate also prints a CONFIDENCE_CALIBRATION for the model, from how
+// often its findings (suggestions included) matched a label at each raw
+// confidence.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { OVERALL, matchLayer, scoreRun, diffRuns } from '../lib/evaluation.js';
+import { buildCalibration } from '../lib/calibration.js';
+import { createMockModelConfig, createScriptedModelConfig, SCRIPTED_RESPONSES } from '../lib/mock-models.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_DATASET = 'eval/datasets/core.json';
+const DEFAULT_REGRESSION_TOLERANCE = 0.02;
+const EVAL_DEADLINE_MS = 120000;
+const MOCK_MODEL_KEY = 'eval-mock';
+
+function parseArgs(argv) {
+  const options = { dataset: DEFAULT_DATASET, model: 'mock', providerMode: null, fixtures: null, baseline: null, saveBaseline: null, failOnRegression: null, minConfidence: undefined, calibrate: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=');
+    const value = () => inline ?? argv[++i];
+
+    switch (flag) {
+      case '--dataset': options.dataset = value(); break;
+      case '--model': options.model = value(); break;
+      case '--record': options.providerMode = 'record'; break;
+      case '--replay': options.providerMode = 'replay'; break;
+      case '--fixtures': options.fixtures = value(); break;
+      case '--baseline': options.baseline = value(); break;
+      case '--save-baseline': options.saveBaseline = value(); break;
+      case '--fail-on-regression':
+        options.failOnRegression = inline !== undefined ? parseFloat(inline) : DEFAULT_REGRESSION_TOLERANCE;
+        break;
+      case '--min-confidence': options.minConfidence = parseFloat(value()); break;
+      case '--calibrate': options.calibrate = true; break;
+      case '--json': options.json = true; break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (options.providerMode && isMockModel(options.model)) {
+    throw new Error(`--${options.providerMode} needs a real --model`);
+  }
+  if (options.failOnRegression !== null && !options.baseline) {
+    throw new Error('--fail-on-regression needs --baseline');
+  }
+  return options;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(ROOT, file), 'utf8'));
+}
+
+function isMockModel(modelKey) {
+  return modelKey === 'mock' || modelKey.startsWith('scripted:');
+}
+
+// Each evaluation starts cold: no Supabase, no cache, no log noise. Mock
+// models run in replay mode, the only non-live mode that needs no network.
+function isolateEnvironment({ model, providerMode, fixtures }) {
+  delete process.env.SUPABASE_URL;
+  delete process.env.SUPABASE_ANON_KEY;
+  process.env.CACHE_BACKEND = 'none';
+  process.env.CACHE_LRU_MAX_ENTRIES = '0';
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+  process.env.MODEL_PROVIDER_MODE = providerMode || (isMockModel(model) ? 'replay' : 'live');
+  if (fixtures) process.env.MODEL_FIXTURES_DIR = fixtures;
+}
+
+// Replays the dataset's recorded model output for whichever layers are asked about
+function createRecordedResponder(items) {
+  const recorded = new Map(items.map(item => [item.id, item.recorded || []]));
+  return ({ promptLayers }) => ({
+    content: JSON.stringify(JSON.parse(promptLayers).map(layer => ({
+      id: layer.id,
+      violations: recorded.get(layer.id) || [],
+      confidence: 0.9
+    })))
+  });
+}
+
+// Every model finding with a raw confidence, and whether it matched a label
+function toCalibrationSamples(items) {
+  return items.flatMap(item => {
+    const findings = [...item.predicted, ...item.suggestions].filter(v => typeof v.rawConfidence === 'number');
+    const { matched, falsePositives } = matchLayer(item.text, item.expected, findings);
+    return [
+      ...matched.map(({ predicted }) => ({ model: predicted.model, confidence: predicted.rawConfidence, correct: true })),
+      ...falsePositives.map(v => ({ model: v.model, confidence: v.rawConfidence, correct: false }))
+    ];
+  });
+}
+
+async function runDataset(dataset, modelKey, { minConfidence } = {}) {
+  const {
+    MODEL_CONFIGS,
+    OPTIMAL_BATCH_SIZE,
+    isModelAvailable,
+    intelligentPreFilter,
+    parseMinConfidence,
+    prepareGuidelines,
+    registerMockModel,
+    runAnalysisPipeline
+  } = await import('../api/analyze.js');
+
+  let model = modelKey;
+  if (modelKey === 'mock') {
+    model = registerMockModel(MOCK_MODEL_KEY, createMockModelConfig({ name: 'Recorded responses', respond: createRecordedResponder(dataset.items) }));
+  } else if (modelKey.startsWith('scripted:')) {
+    // One step per attempt; `mock` answers with the dataset's recorded output
+    const steps = modelKey.slice('scripted:'.length).split(',').map(name => {
+      if (name === 'mock') return createRecordedResponder(dataset.items);
+      if (!(name in SCRIPTED_RESPONSES)) {
+        throw new Error(`Unknown scripted response "${name}" (available: mock, ${Object.keys(SCRIPTED_RESPONSES).join(', ')})`);
+      }
+      return SCRIPTED_RESPONSES[name];
+    });
+    model = registerMockModel(MOCK_MODEL_KEY, createScriptedModelConfig(steps));
+  } else if (!MODEL_CONFIGS[modelKey]) {
+    throw new Error(`Unknown model: ${modelKey}`);
+  } else if (!isModelAvailable(MODEL_CONFIGS[modelKey])) {
+    throw new Error(`${MODEL_CONFIGS[modelKey].envKey} is not set`);
+  }
+
+  const layers = intelligentPreFilter(dataset.items.map(({ id, text, context }) => ({ id, text, ...(context && { context }) })));
+  const { guidelinesHash, ruleEngine, ruleIndex, suppressionRules, glossary } = prepareGuidelines(dataset.guidelines || [], null, {
+    suppressionRules: dataset.suppressionRules || [],
+    glossaryTerms: dataset.glossaryTerms || []
+  });
+
+  const outcome = await runAnalysisPipeline(layers, {
+    guidelines: dataset.guidelines || [],
+    guidelineSet: null,
+    guidelinesHash,
+    ruleEngine,
+    ruleIndex,
+    suppressionRules,
+    glossary,
+    modelChain: [model],
+    minConfidence: parseMinConfidence(minConfidence),
+    deadline: Date.now() + EVAL_DEADLINE_MS,
+    modelBatchSize: OPTIMAL_BATCH_SIZE
+  });
+
+  const resultsById = new Map(outcome.results.map(result => [result.id, result]));
+  return {
+    guidelinesHash,
+    usage: outcome.usage,
+    unanalysed: outcome.unanalysed,
+    items: dataset.items.map(item => ({
+      id: item.id,
+      text: item.text,
+      expected: item.expected || [],
+      predicted: resultsById.get(item.id)?.violations || [],
+      suggestions: resultsById.get(item.id)?.suggestions || []
+    }))
+  };
+}
+
+// --- Reporting ---
+
+function formatRatio(value) {
+  return value === null ? '   -' : value.toFixed(2).padStart(4);
+}
+
+function formatDelta(delta) {
+  if (typeof delta !== 'number' || delta === 0) return '';
+  return ` (${delta > 0 ? '+' : ''}${delta.toFixed(2)})`;
+}
+
+function printReport(report) {
+  const { dataset, model, metrics, items, diff, usage, unanalysed } = report;
+  const lines = [`Dataset: ${dataset} · model: ${model} · ${Object.keys(items).length} items · ${usage.calls} model calls`, ''];
+  const idWidth = Math.max(...Object.keys(items).map(id => id.length));
+
+  // Deltas against a baseline need wider columns
+  const width = diff ? 13 : 10;
+  const header = ['category'.padEnd(18), '  tp', '  fp', '  fn', ...['precision', 'recall', 'fpr', 'suggestion'].map(name => name.padStart(width))];
+  lines.push(header.join('  '));
+  Object.entries(metrics).forEach(([category, m]) => {
+    const deltas = diff?.metrics[category];
+    lines.push([
+      category.padEnd(18),
+      String(m.truePositives).padStart(4),
+      String(m.falsePositives).padStart(4),
+      String(m.falseNegatives).padStart(4),
+      `${formatRatio(m.precision)}${formatDelta(deltas?.precision.delta)}`.padStart(width),
+      `${formatRatio(m.recall)}${formatDelta(deltas?.recall.delta)}`.padStart(width),
+      `${formatRatio(m.falsePositiveRate)}${formatDelta(deltas?.falsePositiveRate.delta)}`.padStart(width),
+      `${formatRatio(m.suggestionAccuracy)}${formatDelta(deltas?.suggestionAccuracy.delta)}`.padStart(width)
+    ].join('  '));
+  });
+
+  const issues = Object.entries(items).filter(([, item]) => item.missed.length || item.unexpected.length);
+  if (issues.length > 0) {
+    lines.push('', 'Errors:');
+    issues.forEach(([id, item]) => {
+      item.missed.forEach(issue => lines.push(`  ${id.padEnd(idWidth)}  missed      ${issue}`));
+      item.unexpected.forEach(issue => lines.push(`  ${id.padEnd(idWidth)}  unexpected  ${issue}`));
+    });
+  }
+
+  // Scored as predicting nothing, so their labels show up as misses above
+  if (unanalysed.length > 0) {
+    lines.push('', 'Unanalysed:');
+    unanalysed.forEach(({ id, reason }) => lines.push(`  ${id.padEnd(idWidth)}  ${reason}`));
+  }
+
+  if (diff) {
+    lines.push('', `Against baseline ${diff.baseline}:`);
+    if (diff.items.length === 0) lines.push('  no item-level changes');
+    diff.items.forEach(change => {
+      change.newlyMissed.forEach(issue => lines.push(`  ${change.id.padEnd(idWidth)}  now missed      ${issue}`));
+      change.newlyUnexpected.forEach(issue => lines.push(`  ${change.id.padEnd(idWidth)}  now unexpected  ${issue}`));
+      change.fixed.forEach(issue => lines.push(`  ${change.id.padEnd(idWidth)}  fixed           ${issue}`));
+    });
+    diff.regressions.forEach(({ category, metric, before, after }) => {
+      lines.push(`  ⚠️ ${category} ${metric} regressed: ${before} → ${after}`);
+    });
+  }
+
+  console.log(lines.join('\n'));
+}
+
+// --- Main ---
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  isolateEnvironment(options);
+
+  const dataset = readJson(options.dataset);
+  if (!Array.isArray(dataset.items) || dataset.items.length === 0) {
+    throw new Error(`${options.dataset} has no items`);
+  }
+  const ids = dataset.items.map(item => item.id);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error(`${options.dataset} has duplicate item ids`);
+  }
+
+  const run = await runDataset(dataset, options.model, { minConfidence: options.minConfidence });
+  const scored = scoreRun(run.items);
+  const report = {
+    dataset: dataset.name || options.dataset,
+    model: options.model,
+    guidelinesVersion: run.guidelinesHash,
+    createdAt: new Date().toISOString(),
+    metrics: scored.metrics,
+    items: scored.items,
+    usage: run.usage,
+    unanalysed: run.unanalysed
+  };
+  if (options.calibrate) {
+    report.calibration = buildCalibration(toCalibrationSamples(run.items));
+  }
+
+  if (options.baseline) {
+    const baseline = readJson(options.baseline);
+    report.diff = {
+      baseline: options.baseline,
+      ...diffRuns(scored, baseline, { tolerance: options.failOnRegression ?? 0 })
+    };
+  }
+
+  if (options.saveBaseline) {
+    const { diff, calibration, ...baseline } = report;
+    const target = path.resolve(ROOT, options.saveBaseline);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, `${JSON.stringify(baseline, null, 2)}\n`);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+    if (options.calibrate) {
+      console.log(`\nCONFIDENCE_CALIBRATION='${JSON.stringify(report.calibration)}'`);
+    }
+    if (options.saveBaseline) console.log(`\nBaseline saved to ${options.saveBaseline}`);
+  }
+
+  const overall = scored.metrics[OVERALL];
+  if (overall.truePositives + overall.falseNegatives === 0) {
+    console.warn('⚠️ Dataset has no expected violations; precision and recall are undefined');
+  }
+
+  if (options.failOnRegression !== null && report.diff.regressions.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`💥 Evaluation failed: ${error.message}`);
+  process.exitCode = 2;
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createLruCache, createMemoryBackend, createSqliteBackend, createCacheStore } from '../lib/cache-store.js';
+
+process.env.LOG_LEVEL = 'silent';
+
+function edge(overrides = {}) {
+  return {
+    originalFingerprint: 'a',
+    correctedFingerprint: 'b',
+    originalText: 'Click here',
+    correctedText: 'Select',
+    guidelinesVersion: 'v1',
+    originalViolations: [],
+    layerId: '1:2',
+    parentFingerprint: null,
+    ...overrides
+  };
+}
+
+test('LRU evicts the least recently used entry', () => {
+  const lru = createLruCache({ maxEntries: 2, ttlMs: 1000 });
+  lru.set('a', 1);
+  lru.set('b', 2);
+  lru.get('a');
+  lru.set('c', 3);
+
+  assert.equal(lru.get('a'), 1);
+  assert.equal(lru.get('b'), undefined);
+  assert.equal(lru.get('c'), 3);
+  assert.equal(lru.size, 2);
+});
+
+test('LRU entries expire after the TTL, which caps longer expiries', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const lru = createLruCache({ maxEntries: 10, ttlMs: 100 });
+  lru.set('short', 1, now + 50);
+  lru.set('capped', 2, now + 10000);
+
+  now += 60;
+  assert.equal(lru.get('short'), undefined);
+  assert.equal(lru.get('capped'), 2);
+
+  now += 50;
+  assert.equal(lru.get('capped'), undefined);
+  assert.equal(lru.size, 0);
+});
+
+test('store serves repeat reads from the LRU without the backend', async (t) => {
+  const backend = createMemoryBackend();
+  const store = createCacheStore({ backend });
+  await store.setAnalysis('fp:key', { violations: [] }, { guidelinesVersion: 'v1' });
+  const getAnalysis = t.mock.method(backend, 'getAnalysis');
+
+  assert.deepEqual(await store.getAnalysis('fp:key', { guidelinesVersion: 'v1' }), { violations: [] });
+  assert.equal(getAnalysis.mock.callCount(), 0);
+  assert.equal(store.stats().lruHits, 1);
+});
+
+test('store returns backend errors and timeouts as misses', async () => {
+  const failing = {
+    ...createMemoryBackend(),
+    name: 'failing',
+    getAnalysis: async () => { throw new Error('connection refused'); },
+    findEdges: () => new Promise(() => {})
+  };
+  const store = createCacheStore({ backend: failing });
+
+  assert.equal(await store.getAnalysis('fp:key'), null);
+  assert.deepEqual(await store.findEdges({ fingerprint: 'a' }, 'v1', { timeout: 20 }), []);
+  assert.deepEqual(
+    { misses: store.stats().misses, backendErrors: store.stats().backendErrors },
+    { misses: 2, backendErrors: 2 }
+  );
+});
+
+test('a new relationship replaces cached edge lists for its version', async () => {
+  const store = createCacheStore({ backend: createMemoryBackend() });
+  await store.setRelationship(edge());
+  assert.equal((await store.findEdges({ fingerprint: 'a', layerId: '1:2' }, 'v1')).length, 1);
+
+  await store.setRelationship(edge({ originalFingerprint: 'b', correctedFingerprint: 'c' }));
+  assert.equal((await store.findEdges({ fingerprint: 'a', layerId: '1:2' }, 'v1')).length, 2);
+});
+
+test('memory backend keeps the same text pair separately per guidelines version', async () => {
+  const backend = createMemoryBackend();
+  await backend.setRelationship(edge({ guidelinesVersion: 'v1', layerId: 'team-a' }));
+  await backend.setRelationship(edge({ guidelinesVersion: 'v2', layerId: 'team-b' }));
+
+  assert.deepEqual((await backend.findEdges({ fingerprint: 'a' }, 'v1')).map(e => e.layerId), ['team-a']);
+  assert.deepEqual((await backend.findEdges({ fingerprint: 'a' }, 'v2')).map(e => e.layerId), ['team-b']);
+});
+
+// Two entries and an edge per version, plus an entry written without a version
+async function fillVersions(store) {
+  await Promise.all(['v1', 'v2', null].flatMap(version => [
+    store.setAnalysis(`fp-${version}:key`, { violations: [] }, { guidelinesVersion: version }),
+    store.setAnalysis(`fp2-${version}:key`, { violations: [] }, { guidelinesVersion: version }),
+    version && store.setRelationship(edge({ guidelinesVersion: version }))
+  ]));
+}
+
+[
+  ['memory', () => createMemoryBackend()],
+  ['sqlite', (t) => {
+    const path = join(tmpdir(), `cache-store-test-${process.pid}.db`);
+    t.after(() => ['', '-wal', '-shm'].forEach(suffix => rmSync(`${path}${suffix}`, { force: true })));
+    return createSqliteBackend({ path });
+  }]
+].forEach(([name, createBackend]) => {
+  test(`${name} backend purges listed versions, stale versions and, with no current version, everything`, async (t) => {
+    const store = createCacheStore({ backend: createBackend(t) });
+    await fillVersions(store);
+
+    assert.deepEqual(await store.purgeVersions({ versions: [] }), { analyses: 0, relationships: 0 });
+    assert.deepEqual(await store.purgeVersions({ versions: ['v1'] }), { analyses: 2, relationships: 1 });
+    // Entries without a version are never current
+    assert.deepEqual(await store.purgeVersions({ exceptVersions: ['v2'] }), { analyses: 2, relationships: 0 });
+    assert.deepEqual(await store.purgeVersions({ exceptVersions: [] }), { analyses: 2, relationships: 1 });
+    assert.equal(await store.getAnalysis('fp-v2:key', { guidelinesVersion: 'v2' }), null);
+  });
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalibration, createCalibrator, validateCalibration } from '../lib/calibration.js';
+
+// `count` samples at `confidence`, the first `correct` of them right
+function samples(model, confidence, count, correct) {
+  return Array.from({ length: count }, (_, index) => ({ model, confidence, correct: index < correct }));
+}
+
+test('calibrator interpolates between points and falls back to "*"', () => {
+  const calibrate = createCalibrator({ gemini: [[0.6, 0.4], [0.8, 0.6]], '*': [[0.9, 0.7]] });
+
+  assert.equal(calibrate(0.7, 'gemini'), 0.5);
+  assert.equal(calibrate(0.3, 'gemini'), 0.2);
+  assert.equal(calibrate(0.95, 'gemini'), 0.6);
+  assert.equal(calibrate(0.9, 'nova'), 0.7);
+});
+
+test('calibrator keeps raw confidence for models without points', () => {
+  assert.equal(createCalibrator({ gemini: [[0.6, 0.4]] })(0.83, 'nova'), 0.83);
+  assert.equal(createCalibrator()(0.83, 'gemini'), 0.83);
+});
+
+test('calibration maps confidence bins to how often they were right', () => {
+  const table = buildCalibration([
+    ...samples('gemini', 0.6, 10, 3),
+    ...samples('gemini', 0.92, 10, 9),
+    ...samples('nova', 0.85, 2, 2)
+  ]);
+
+  assert.deepEqual(table.gemini, [[0.6, 0.3], [0.92, 0.9]]);
+  // Two samples are too few for a bin of its own, but count towards "*"
+  assert.equal(table.nova, undefined);
+  assert.deepEqual(table['*'], [[0.6, 0.3], [0.92, 0.9]]);
+});
+
+test('bins are pooled so a higher raw confidence never calibrates lower', () => {
+  const table = buildCalibration([
+    ...samples('gemini', 0.75, 10, 8),
+    ...samples('gemini', 0.85, 10, 4)
+  ]);
+
+  assert.deepEqual(table.gemini, [[0.8, 0.6]]);
+});
+
+test('validation rejects points out of range or out of order', () => {
+  const table = { gemini: [[0.5, 0.4], [0.9, 0.8]] };
+  assert.equal(validateCalibration(table), table);
+
+  assert.throws(() => validateCalibration([[0.5, 0.4]]), /Expected an object/);
+  assert.throws(() => validateCalibration({ gemini: [[0.9, 0.8], [0.5, 0.4]] }), /gemini: expected/);
+  assert.throws(() => validateCalibration({ gemini: [[0.5, 1.2]] }), /gemini: expected/);
+});
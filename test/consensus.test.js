@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeViolations } from '../lib/consensus.js';
+
+const finding = (start, end, overrides = {}) => ({
+  original: 'Click here',
+  suggested: 'Select',
+  start,
+  end,
+  confidence: 0.8,
+  ruleCategory: 'Style',
+  ...overrides
+});
+
+test('agreement keeps only findings every model reported', () => {
+  const merged = mergeViolations({
+    gemini: [finding(0, 10), finding(20, 25, { ruleCategory: 'Tone' })],
+    nova: [finding(2, 8, { ruleCategory: 'style' })]
+  });
+
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].models, ['gemini', 'nova']);
+  assert.equal(merged[0].ruleCategory, 'Style');
+});
+
+test('a merged finding takes the wording of its most confident report and the mean confidence', () => {
+  const [merged] = mergeViolations({
+    gemini: [finding(0, 10, { suggested: 'Select', confidence: 0.6 })],
+    nova: [finding(0, 10, { suggested: 'Choose', confidence: 1 })]
+  });
+
+  assert.equal(merged.suggested, 'Choose');
+  assert.equal(merged.confidence, 0.8);
+});
+
+test('calibrate keeps every finding, scaled by the share of models that reported it', () => {
+  const merged = mergeViolations({
+    gemini: [finding(0, 10), finding(20, 25, { ruleCategory: 'Tone' })],
+    nova: [finding(0, 10)]
+  }, { strategy: 'calibrate' });
+
+  assert.deepEqual(merged.map(v => [v.ruleCategory, v.confidence, v.models]), [
+    ['Style', 0.8, ['gemini', 'nova']],
+    ['Tone', 0.4, ['gemini']]
+  ]);
+});
+
+test('findings need overlapping spans and the same category to match', () => {
+  const merged = mergeViolations({
+    gemini: [finding(0, 10)],
+    nova: [finding(10, 20), finding(0, 10, { ruleCategory: 'Tone' })]
+  }, { strategy: 'calibrate' });
+
+  assert.equal(merged.length, 3);
+  assert.ok(merged.every(v => v.models.length === 1));
+});
+
+test('each model backs a finding at most once', () => {
+  const merged = mergeViolations({
+    gemini: [finding(0, 10), finding(5, 15)],
+    nova: [finding(0, 10)]
+  }, { strategy: 'calibrate' });
+
+  assert.deepEqual(merged.map(v => v.models), [['gemini', 'nova'], ['gemini']]);
+});
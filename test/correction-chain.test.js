@@ -0,0 +1,73 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CACHE_BACKEND = 'memory';
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_ANON_KEY;
+
+let storeTextRelationship;
+let resolveCorrectionChain;
+
+before(async () => {
+  ({ storeTextRelationship, resolveCorrectionChain } = await import('../api/analyze.js'));
+});
+
+// Edges are ordered by creation time, so every write gets its own timestamp
+function tickingClock(t) {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => (now += 1000));
+}
+
+const violation = { original: 'Click here', suggested: 'Select', confidence: 0.9, ruleCategory: 'Style', ruleDescription: 'Avoid "click here"' };
+
+test('text with no recorded relationships has no chain', async () => {
+  assert.equal(await resolveCorrectionChain('Never seen before', 'chain-v0', '1:1'), null);
+});
+
+test('a stored fix resolves as corrected with its lineage', async (t) => {
+  tickingClock(t);
+  await storeTextRelationship('Click here to pay', 'Select to pay', 'chain-v1', { violations: [violation], layerId: '1:1' });
+
+  const chain = await resolveCorrectionChain('Select to pay', 'chain-v1', '1:1');
+  assert.equal(chain.status, 'corrected');
+  assert.deepEqual(chain.lineage.map(entry => entry.step), ['original', 'corrected']);
+});
+
+test('going back to flagged text resolves as reverted with the earlier violations', async (t) => {
+  tickingClock(t);
+  await storeTextRelationship('Click here to pay', 'Select to pay', 'chain-v2', { violations: [violation], layerId: '1:1' });
+
+  const chain = await resolveCorrectionChain('Click here to pay', 'chain-v2', '1:1');
+  assert.equal(chain.status, 'reverted');
+  assert.equal(chain.edge.originalViolations[0].original, 'Click here');
+  assert.deepEqual(chain.lineage.map(entry => entry.step), ['original', 'corrected', 'reverted']);
+});
+
+test('the latest move decides between corrected and reverted', async (t) => {
+  tickingClock(t);
+  await storeTextRelationship('Click here to pay', 'Select to pay', 'chain-v3', { violations: [violation], layerId: '1:1' });
+  await storeTextRelationship('Select to pay', 'Click here to pay', 'chain-v3', { layerId: '1:1' });
+
+  const chain = await resolveCorrectionChain('Click here to pay', 'chain-v3', '1:1');
+  assert.equal(chain.status, 'corrected');
+});
+
+test('unseen text close to an earlier fix of the same layer is an edit', async (t) => {
+  tickingClock(t);
+  await storeTextRelationship('Click here to pay', 'Select to pay', 'chain-v4', { violations: [violation], layerId: '1:1' });
+
+  const chain = await resolveCorrectionChain('Select to pay now', 'chain-v4', '1:1');
+  assert.equal(chain.status, 'edited');
+  assert.deepEqual(chain.lineage.map(entry => entry.step), ['original', 'corrected', 'edited']);
+
+  assert.equal(await resolveCorrectionChain('Select to pay now', 'chain-v4', '9:9'), null);
+  assert.equal(await resolveCorrectionChain('Something else entirely', 'chain-v4', '1:1'), null);
+});
+
+test('chains are scoped to their guidelines version', async (t) => {
+  tickingClock(t);
+  await storeTextRelationship('Click here to pay', 'Select to pay', 'chain-v5', { violations: [violation], layerId: '1:1' });
+
+  assert.equal(await resolveCorrectionChain('Select to pay', 'chain-v6', '1:1'), null);
+});
@@ -0,0 +1,78 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockModelConfig } from '../lib/mock-models.js';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CACHE_BACKEND = 'memory';
+process.env.MODEL_PROVIDER_MODE = 'replay';
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_ANON_KEY;
+
+let analyze;
+
+before(async () => {
+  analyze = await import('../api/analyze.js');
+});
+
+// A guideline without patterns, so every layer goes to the model
+const GUIDELINES = [{ id: 'tone', category: 'Tone', title: 'Be direct' }];
+const GLOSSARY_TERMS = [
+  { id: 't1', term: 'sign in', variants: ['login', 'log-in'] },
+  { id: 't2', term: 'PayNow', variants: ['Pay-Now'], protected: true },
+  { id: 't3', term: 'Pay Later', protected: true },
+  { id: 't4', term: 'Pay Later Plus', protected: true }
+];
+
+const prepare = () => analyze.prepareGuidelines(GUIDELINES, null, { glossaryTerms: GLOSSARY_TERMS });
+
+// Runs one layer through the pipeline with a model that answers `violations`
+// for every layer, and returns the result with the layers the model was sent
+async function runWithModel(text, violations) {
+  const prompts = [];
+  const model = analyze.registerMockModel('glossary-test', createMockModelConfig({
+    respond: ({ promptLayers }) => {
+      const sent = JSON.parse(promptLayers);
+      prompts.push(...sent);
+      return { content: JSON.stringify(sent.map(layer => ({ id: layer.id, violations, confidence: 0.9 }))) };
+    }
+  }));
+
+  const prepared = prepare();
+  const outcome = await analyze.runAnalysisPipeline(analyze.intelligentPreFilter([{ id: '1:1', text }]), {
+    guidelines: GUIDELINES,
+    guidelineSet: null,
+    ...prepared,
+    modelChain: [model],
+    deadline: Date.now() + 10000,
+    modelBatchSize: 10
+  });
+  return { result: outcome.results[0], prompts };
+}
+
+test('forbidden variants are reported by the rule engine with the preferred term', () => {
+  const { violations } = analyze.evaluateLayerWithRuleEngine('Login with Pay-Now or paynow, not PayNow or blogin', prepare().ruleEngine);
+
+  assert.deepEqual(violations.map(({ original, suggested, start, ruleCategory, source }) => ({ original, suggested, start, ruleCategory, source })), [
+    { original: 'Login', suggested: 'sign in', start: 0, ruleCategory: 'Glossary', source: 'rule_engine' },
+    { original: 'Pay-Now', suggested: 'PayNow', start: 11, ruleCategory: 'Glossary', source: 'rule_engine' },
+    { original: 'paynow', suggested: 'PayNow', start: 22, ruleCategory: 'Glossary', source: 'rule_engine' }
+  ]);
+});
+
+test('protected terms reach the model as placeholders, longest term first', async () => {
+  const { prompts } = await runWithModel('Use Pay Later Plus, Pay Later or PayNow', []);
+  assert.deepEqual(prompts, [{ id: '1:1', text: 'Use [[P1]], [[P2]] or [[P3]]' }]);
+});
+
+test('placeholders in model output are unmasked and violations touching protected terms dropped', async () => {
+  const text = 'Pay with the app or PayNow today';
+  const { result } = await runWithModel(text, [
+    { original: 'the app', suggested: '[[P3]]', confidence: 0.95, ruleCategory: 'Tone', ruleDescription: 'Name the product' },
+    { original: '[[P3]] today', suggested: '[[P3]] now', confidence: 0.95, ruleCategory: 'Tone', ruleDescription: 'Be direct' }
+  ]);
+
+  assert.deepEqual(result.violations.map(({ original, suggested, start, end }) => ({ original, suggested, start, end })), [
+    { original: 'the app', suggested: 'PayNow', start: 9, end: 16 }
+  ]);
+  assert.equal(result.correctedText, 'Pay with PayNow or PayNow today');
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LAYER_RESULTS_SCHEMA, toGeminiSchema, parseLayerResults } from '../lib/model-output.js';
+
+const layer = (id, violations = []) => ({ id, violations, confidence: 0.9 });
+
+test('parses a bare array and a results object', () => {
+  const results = [layer('1:1'), layer('1:2')];
+  assert.deepEqual(parseLayerResults(JSON.stringify(results)), { layers: results, complete: true });
+  assert.deepEqual(parseLayerResults(JSON.stringify({ results })), { layers: results, complete: true });
+});
+
+test('reads JSON out of prose and code fences', () => {
+  const content = `Here is the analysis:\n\`\`\`json\n${JSON.stringify([layer('1:1')])}\n\`\`\`\nLet me know.`;
+  assert.deepEqual(parseLayerResults(content), { layers: [layer('1:1')], complete: true });
+});
+
+test('repairs trailing commas', () => {
+  assert.deepEqual(parseLayerResults('[{"id": "1:1", "violations": [],},]').layers, [{ id: '1:1', violations: [] }]);
+});
+
+test('keeps the complete layers of a truncated response', () => {
+  const content = JSON.stringify([layer('1:1'), layer('1:2'), layer('1:3')]).slice(0, -20);
+  const { layers, complete } = parseLayerResults(content);
+  assert.deepEqual(layers.map(result => result.id), ['1:1', '1:2']);
+  assert.equal(complete, false);
+});
+
+test('drops a corrupt layer object and reports the response incomplete', () => {
+  const content = `[{id: "1:1", violations: []}, ${JSON.stringify(layer('1:2'))}]`;
+  const { layers, complete } = parseLayerResults(content);
+  assert.deepEqual(layers, [layer('1:2')]);
+  assert.equal(complete, false);
+});
+
+test('ignores brackets inside strings', () => {
+  const violation = { original: 'Pay [now]', suggested: 'Pay {now}', ruleCategory: 'Style' };
+  const content = `Result: ${JSON.stringify([layer('1:1', [violation]), layer('1:2')]).slice(0, -1)}`;
+  const { layers } = parseLayerResults(content);
+  assert.deepEqual(layers, [layer('1:1', [violation]), layer('1:2')]);
+});
+
+test('returns nothing for empty or non-array output', () => {
+  assert.deepEqual(parseLayerResults(''), { layers: [], complete: false });
+  assert.deepEqual(parseLayerResults('{"summary": "All layers look fine"}'), { layers: [], complete: false });
+});
+
+test('converts the result schema to upper-case Gemini types with property order', () => {
+  const schema = toGeminiSchema(LAYER_RESULTS_SCHEMA);
+  assert.equal(schema.type, 'ARRAY');
+  assert.equal(schema.items.type, 'OBJECT');
+  assert.deepEqual(schema.items.propertyOrdering, ['id', 'violations', 'confidence']);
+  assert.equal(schema.items.properties.violations.items.properties.start.type, 'INTEGER');
+});
@@ -0,0 +1,128 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScriptedModelConfig, SCRIPTED_RESPONSES } from '../lib/mock-models.js';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CACHE_BACKEND = 'memory';
+process.env.MODEL_PROVIDER_MODE = 'replay';
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_ANON_KEY;
+
+let analyze;
+
+before(async () => {
+  analyze = await import('../api/analyze.js');
+});
+
+// A guideline without patterns, so every layer goes to the model
+const GUIDELINES = [{ id: 'tone', category: 'Tone', title: 'Be direct' }];
+const TEXTS = ['Welcome back to your account', 'Your payment was successful today', 'Tap continue to finish setup'];
+
+let run = 0;
+
+/**
+ * Analyse `texts` with one scripted model per entry of `chain` (its steps), in
+ * fallback order. Layer IDs are new on every run so no cached result is reused.
+ */
+async function analyzeWithChain(chain, texts = TEXTS) {
+  run++;
+  const models = chain.map((steps, index) => createScriptedModelConfig(steps, { name: `Model ${index + 1}` }));
+  const modelChain = models.map((config, index) => analyze.registerMockModel(`scripted-${index + 1}`, config));
+  const layers = analyze.intelligentPreFilter(texts.map((text, index) => ({ id: `${run}:${index}`, text })));
+
+  const outcome = await analyze.runAnalysisPipeline(layers, {
+    guidelines: GUIDELINES,
+    guidelineSet: null,
+    ...analyze.prepareGuidelines(GUIDELINES),
+    modelChain,
+    deadline: Date.now() + 20000,
+    modelBatchSize: texts.length
+  });
+  const byId = new Map(outcome.results.map(result => [result.id, result]));
+  return { outcome, models, ids: layers.map(layer => layer.id), modelOf: id => (byId.get(id).fallback ? null : byId.get(id).model) };
+}
+
+test('an empty response is retried and the retry answers every layer', async () => {
+  const { outcome, models, ids, modelOf } = await analyzeWithChain([[SCRIPTED_RESPONSES.emptyResponse, SCRIPTED_RESPONSES.compliant]]);
+
+  assert.deepEqual(models[0].calls, [{ attempt: 1, layerIds: ids }, { attempt: 2, layerIds: ids }]);
+  assert.deepEqual(ids.map(modelOf), ['Model 1', 'Model 1', 'Model 1']);
+  assert.deepEqual(outcome.fallbacks, []);
+});
+
+test('a truncated response with no complete layer is retried whole', async () => {
+  const { models, ids, modelOf } = await analyzeWithChain([[SCRIPTED_RESPONSES.malformedJson, SCRIPTED_RESPONSES.compliant]], TEXTS.slice(0, 1));
+
+  assert.deepEqual(models[0].calls, [{ attempt: 1, layerIds: ids }, { attempt: 2, layerIds: ids }]);
+  assert.deepEqual(ids.map(modelOf), ['Model 1']);
+});
+
+test('output that is never a layer array falls back to the next model as invalid_json', async () => {
+  const { outcome, models, ids, modelOf } = await analyzeWithChain([[SCRIPTED_RESPONSES.notAnArray], [SCRIPTED_RESPONSES.compliant]]);
+
+  assert.equal(models[0].calls.length, 2);
+  assert.deepEqual(models[1].calls, [{ attempt: 1, layerIds: ids }]);
+  assert.deepEqual(outcome.fallbacks.map(({ model, reason }) => ({ model, reason })), [{ model: 'scripted-1', reason: 'invalid_json' }]);
+  assert.equal(outcome.modelUsed, 'scripted-2');
+  assert.deepEqual(ids.map(modelOf), ['Model 2', 'Model 2', 'Model 2']);
+});
+
+test('rate limits are retried, then fall back as rate_limited', async () => {
+  const { outcome, models } = await analyzeWithChain([[SCRIPTED_RESPONSES.rateLimited], [SCRIPTED_RESPONSES.compliant]]);
+
+  assert.equal(models[0].calls.length, 2);
+  assert.deepEqual(outcome.fallbacks.map(fallback => fallback.reason), ['rate_limited']);
+  assert.equal(outcome.modelUsed, 'scripted-2');
+});
+
+test('a chain where every model fails throws with the fallbacks tried', async () => {
+  await assert.rejects(
+    analyzeWithChain([[SCRIPTED_RESPONSES.serverError], [SCRIPTED_RESPONSES.serverError]]),
+    error => {
+      assert.deepEqual(error.fallbacks.map(({ model, reason }) => ({ model, reason })), [{ model: 'scripted-1', reason: 'server_error' }]);
+      return true;
+    }
+  );
+});
+
+test('a layer that stays corrupt gets a fallback result and is listed as unanalysed', async () => {
+  const { outcome, ids, modelOf } = await analyzeWithChain([[SCRIPTED_RESPONSES.corruptLayer]]);
+
+  assert.deepEqual(ids.map(modelOf), [null, 'Model 1', 'Model 1']);
+  assert.deepEqual(outcome.unanalysed, [{ id: ids[0], reason: 'invalid_json' }]);
+});
+
+// --- Salvaging partial responses ---
+
+test('layers salvaged from a corrupt response are kept and only the corrupt one is re-requested', async () => {
+  const { outcome, models, ids, modelOf } = await analyzeWithChain([[SCRIPTED_RESPONSES.corruptLayer, SCRIPTED_RESPONSES.compliant]]);
+
+  assert.deepEqual(models[0].calls, [{ attempt: 1, layerIds: ids }, { attempt: 2, layerIds: [ids[0]] }]);
+  assert.deepEqual(ids.map(modelOf), ['Model 1', 'Model 1', 'Model 1']);
+  assert.deepEqual(outcome.unanalysed, []);
+});
+
+test('complete layers of a truncated response are kept and only the cut-off one is re-requested', async () => {
+  const { models, ids, modelOf } = await analyzeWithChain([[SCRIPTED_RESPONSES.malformedJson, SCRIPTED_RESPONSES.compliant]]);
+
+  assert.deepEqual(models[0].calls, [{ attempt: 1, layerIds: ids }, { attempt: 2, layerIds: [ids[2]] }]);
+  assert.deepEqual(ids.map(modelOf), ['Model 1', 'Model 1', 'Model 1']);
+});
+
+test('layers left out of a response are re-requested and unknown IDs discarded', async () => {
+  const { outcome, models, ids } = await analyzeWithChain([[SCRIPTED_RESPONSES.missingLayerIds, SCRIPTED_RESPONSES.compliant]]);
+
+  assert.deepEqual(models[0].calls, [{ attempt: 1, layerIds: ids }, { attempt: 2, layerIds: [ids[2]] }]);
+  assert.deepEqual(outcome.unknownLayerIds, ['unknown-layer']);
+  assert.equal(outcome.results.some(result => result.id === 'unknown-layer'), false);
+});
+
+test('a fallback model only gets the layers the failed model did not salvage', async () => {
+  const { models, ids, modelOf } = await analyzeWithChain([
+    [SCRIPTED_RESPONSES.corruptLayer, SCRIPTED_RESPONSES.serverError],
+    [SCRIPTED_RESPONSES.compliant]
+  ]);
+
+  assert.deepEqual(models[1].calls, [{ attempt: 1, layerIds: [ids[0]] }]);
+  assert.deepEqual(ids.map(modelOf), ['Model 2', 'Model 1', 'Model 1']);
+});
@@ -0,0 +1,82 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CACHE_BACKEND = 'memory';
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_ANON_KEY;
+
+let compilePattern;
+let compileRuleEngine;
+let evaluateLayerWithRuleEngine;
+let findGuidelineSchemaIssues;
+
+before(async () => {
+  ({ compilePattern, compileRuleEngine, evaluateLayerWithRuleEngine, findGuidelineSchemaIssues } = await import('../api/analyze.js'));
+});
+
+const guideline = rules => ({ id: 'g1', category: 'Numbers', title: 'Indian numbering', rules });
+
+test('patterns compile case-insensitive and global unless flags are given', () => {
+  const regex = compilePattern('click here', 'g1-detect_patterns-0');
+  assert.equal(regex.flags, 'gi');
+  assert.equal('Click HERE or click here'.match(regex).length, 2);
+
+  assert.equal(compilePattern({ pattern: '^OK', flags: 'm' }, 'g1-detect_patterns-1').flags, 'gm');
+  assert.equal(compilePattern({ replacement: 'x' }, 'g1-detect_patterns-2'), null);
+});
+
+test('an invalid regex is matched literally and listed as a schema issue', () => {
+  const regex = compilePattern('Save (50%', 'g1-detect_patterns-0');
+  assert.deepEqual('save (50% today'.match(regex), ['save (50%']);
+  assert.equal('Save 50% today'.match(regex), null);
+
+  const issues = findGuidelineSchemaIssues([guideline({ detect_patterns: ['Save (50%'] })]);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].guidelineId, 'g1');
+  assert.match(issues[0].path, /detect_patterns\[0\]$/);
+});
+
+test('a pattern with a replacement is reported locally without the model', () => {
+  const engine = compileRuleEngine([guideline({
+    description: 'Use Indian number grouping',
+    detect_patterns: [{ pattern: '(\\d+)00,000', replacement: '$1 lakh', description: 'Use lakh for 100,000' }]
+  })]);
+
+  const { violations, needsModel } = evaluateLayerWithRuleEngine('Save 500,000 today', engine);
+  assert.equal(needsModel, false);
+  assert.deepEqual(violations.map(({ original, suggested, start, end, ruleId, ruleDescription, source }) =>
+    ({ original, suggested, start, end, ruleId, ruleDescription, source })), [{
+    original: '500,000',
+    suggested: '5 lakh',
+    start: 5,
+    end: 12,
+    ruleId: 'g1-detect_patterns-0',
+    ruleDescription: 'Use lakh for 100,000',
+    source: 'rule_engine'
+  }]);
+
+  assert.deepEqual(evaluateLayerWithRuleEngine('Save big today', engine), { violations: [], needsModel: false });
+});
+
+test('exclude_patterns exempt text a detect pattern would send to the model', () => {
+  const engine = compileRuleEngine([guideline({
+    description: 'Write dates without ordinals',
+    detect_patterns: ['\\b\\d{1,2}(st|nd|rd|th)\\b'],
+    exclude_patterns: ['\\d+(st|nd|rd|th) anniversary']
+  })]);
+
+  assert.equal(evaluateLayerWithRuleEngine('Sale ends on the 5th', engine).needsModel, true);
+  assert.equal(evaluateLayerWithRuleEngine('Our 10th anniversary', engine).needsModel, false);
+  assert.equal(evaluateLayerWithRuleEngine('Our 10th anniversary, ends the 5th', engine).needsModel, true);
+});
+
+test('a guideline\'s other rules apply whether or not a pattern matched', () => {
+  const engine = compileRuleEngine([guideline({
+    description: 'Write dates without ordinals',
+    detect_patterns: ['\\b\\d{1,2}(st|nd|rd|th)\\b'],
+    tone: 'Keep date copy short and neutral'
+  })]);
+
+  assert.equal(evaluateLayerWithRuleEngine('Sale ends soon', engine).needsModel, true);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractTerms, termSimilarity, selectWithinBudget } from '../lib/rule-selection.js';
+
+test('terms are lower-cased words of three or more characters without stop words', () => {
+  assert.deepEqual([...extractTerms('Use the ₹ symbol for Rupees, not Rs. 500 — always!')], ['symbol', 'rupees', '500']);
+  assert.deepEqual([...extractTerms(null)], []);
+});
+
+test('similarity is the cosine of two term sets', () => {
+  const a = extractTerms('payment failed retry');
+  assert.equal(termSimilarity(a, extractTerms('Payment failed, retry')), 1);
+  assert.equal(termSimilarity(a, extractTerms('payment successful')), 1 / Math.sqrt(6));
+  assert.equal(termSimilarity(a, extractTerms('welcome back')), 0);
+  assert.equal(termSimilarity(a, new Set()), 0);
+});
+
+test('selection takes the highest scores that fit and keeps the original order', () => {
+  const candidates = [
+    { id: 'a', score: 0.1, tokens: 40 },
+    { id: 'b', score: 0.9, tokens: 60 },
+    { id: 'c', score: 0.5, tokens: 50 },
+    { id: 'd', score: 0.3, tokens: 30 }
+  ];
+  const { selected, overBudget } = selectWithinBudget(candidates, 100);
+
+  assert.deepEqual(selected.map(c => c.id), ['b', 'd']);
+  assert.deepEqual(overBudget.map(c => c.id), ['c', 'a']);
+});
+
+test('selection always keeps the best candidate', () => {
+  const { selected } = selectWithinBudget([{ id: 'a', score: 0.2, tokens: 500 }, { id: 'b', score: 0.1, tokens: 10 }], 100);
+  assert.deepEqual(selected.map(c => c.id), ['a']);
+});
+
+test('selection without a budget keeps everything', () => {
+  const candidates = [{ score: 0, tokens: 900 }, { score: 0, tokens: 900 }];
+  assert.deepEqual(selectWithinBudget(candidates, Infinity), { selected: candidates, overBudget: [] });
+});
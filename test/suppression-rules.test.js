@@ -0,0 +1,112 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CACHE_BACKEND = 'memory';
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_ANON_KEY;
+
+let compileSuppressionRules;
+let applySuppressionRules;
+
+before(async () => {
+  ({ compileSuppressionRules, applySuppressionRules } = await import('../api/analyze.js'));
+});
+
+// The seed rows from the README
+const SEED_RULES = [
+  { id: 'r1', name: 'full_date', rule_pattern: ': [\\s\\S]*date', text_pattern: '\\b\\d{1,2}\\s+[A-Za-z]+\\s*,?\\s+\\d{4}\\b', flags: '' },
+  { id: 'r2', name: 'time_range', rule_pattern: ': [\\s\\S]*time', text_pattern: '\\b\\d{1,2}:\\d{2}\\s+[aApP][mM]\\s+[tT][oO]\\s+\\d{1,2}:\\d{2}\\s+[aApP][mM]\\b', flags: '' },
+  { id: 'r3', name: 'single_please', text_pattern: '^(?![\\s\\S]*\\bplease\\b[\\s\\S]*\\bplease\\b)', violation_pattern: '^please$', flags: 'i' },
+  {
+    id: 'r4',
+    name: 'day_month_abbreviation',
+    rule_pattern: ': (?![\\s\\S]*space)',
+    violation_pattern: '\\b(Mon|Tue|Wed|Thu|Fri|Sat|Sun|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\\b',
+    flags: '',
+    conditions: { shorter_suggestion: true, space_context: false }
+  }
+];
+
+// The hard-coded filter the seed rules replace, kept verbatim
+function legacyPostProcess(originalText, violations, layerContext) {
+  return violations.filter(v => {
+    if (v.ruleDescription?.includes('date') &&
+        /\b\d{1,2}\s+[A-Za-z]+\s*,?\s+\d{4}\b/.test(originalText)) {
+      return false;
+    }
+    if (v.ruleDescription?.includes('time') &&
+        /\b\d{1,2}:\d{2}\s+[ap]m\s+to\s+\d{1,2}:\d{2}\s+[ap]m\b/i.test(originalText)) {
+      return false;
+    }
+    if (v.original?.toLowerCase() === 'please' &&
+        (originalText.match(/\bplease\b/gi)?.length || 0) === 1) {
+      return false;
+    }
+    if (!layerContext?.availableChars &&
+        v.suggested && v.suggested.length < v.original.length &&
+        /\b(Mon|Tue|Wed|Thu|Fri|Sat|Sun|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\b/.test(v.original) &&
+        v.ruleDescription?.includes('space') === false) {
+      return false;
+    }
+    return true;
+  });
+}
+
+const CASES = [
+  ['Offer ends 15 October, 2023', { original: '15 October, 2023', suggested: '15/10/2023', ruleCategory: 'Dates', ruleDescription: 'date format' }],
+  ['Offer ends 15 October, 2023', { original: 'Offer', suggested: 'Deal', ruleCategory: 'Dates', ruleDescription: 'Word choice' }],
+  ['Offer ends 15 October, 2023', { original: '15 October, 2023', suggested: '15/10/2023', ruleCategory: 'Dates', ruleDescription: 'Date format' }],
+  ['Offer ends soon', { original: 'soon', suggested: 'today', ruleCategory: 'Dates', ruleDescription: 'date format' }],
+  ['Open 11:00 am to 12:00 pm', { original: 'to', suggested: '–', ruleCategory: 'Time', ruleDescription: 'time ranges' }],
+  ['Open 11:00 AM TO 12:00 PM', { original: 'TO', suggested: '–', ruleCategory: 'Time', ruleDescription: 'time ranges' }],
+  ['Open 11:00 am to 12:00 pm', { original: 'to', suggested: '–', ruleCategory: 'time', ruleDescription: 'Time ranges' }],
+  ['Open 11:00 am - 12:00 pm', { original: '-', suggested: 'to', ruleCategory: 'Time', ruleDescription: 'time ranges' }],
+  ['Please enter your PIN', { original: 'Please', suggested: '', ruleCategory: 'Tone', ruleDescription: 'Avoid please' }],
+  ['Please enter your PIN, please', { original: 'Please', suggested: '', ruleCategory: 'Tone', ruleDescription: 'Avoid please' }],
+  ['Due Monday', { original: 'Monday', suggested: 'Mon', ruleCategory: 'Dates', ruleDescription: 'Abbreviate days' }],
+  ['Due Mon', { original: 'Mon', suggested: 'M', ruleCategory: 'Dates', ruleDescription: 'Abbreviate days' }],
+  ['Due Mon', { original: 'Mon', suggested: 'M', ruleCategory: 'Space', ruleDescription: 'Abbreviate days' }],
+  ['Due Mon', { original: 'Mon', suggested: 'M', ruleCategory: 'Dates', ruleDescription: 'Abbreviate when space is tight' }],
+  ['Due Mon', { original: 'Mon', suggested: 'Monday', ruleCategory: 'Dates', ruleDescription: 'Spell out days' }],
+  ['Due mon', { original: 'mon', suggested: 'm', ruleCategory: 'Dates', ruleDescription: 'Abbreviate days' }]
+];
+
+test('seed rules suppress exactly what the hard-coded filters dropped', () => {
+  const rules = compileSuppressionRules(SEED_RULES);
+  assert.equal(rules.length, SEED_RULES.length);
+
+  [null, { availableChars: 40 }].forEach(layerContext => {
+    CASES.forEach(([text, violation]) => {
+      const expected = legacyPostProcess(text, [violation], layerContext).length === 0;
+      const { suppressed } = applySuppressionRules({ id: 'l1', originalText: text, violations: [violation], layerContext }, rules);
+      assert.equal(suppressed.length === 1, expected, `"${violation.original}" in "${text}" (${violation.ruleCategory}: ${violation.ruleDescription}, context ${JSON.stringify(layerContext)})`);
+    });
+  });
+});
+
+test('suppressed violations are removed from the result and the corrected text', () => {
+  const rules = compileSuppressionRules(SEED_RULES);
+  const text = 'Please pay by 15 October, 2023';
+  const { result, suppressed } = applySuppressionRules({
+    id: 'l1',
+    originalText: text,
+    violations: [
+      { original: 'Please pay', suggested: 'Pay', start: 0, end: 10, ruleCategory: 'Tone', ruleDescription: 'Be direct' },
+      { original: '15 October, 2023', suggested: '15/10/2023', start: 14, end: 30, ruleCategory: 'Dates', ruleDescription: 'date format' }
+    ]
+  }, rules);
+
+  assert.deepEqual(suppressed.map(entry => entry.rule), ['full_date']);
+  assert.deepEqual(result.violations.map(v => v.original), ['Please pay']);
+  assert.equal(result.correctedText, 'Pay by 15 October, 2023');
+});
+
+test('rules with an invalid regex or no pattern are skipped', () => {
+  const rules = compileSuppressionRules([
+    { id: 'a', name: 'broken', text_pattern: '(' },
+    { id: 'b', name: 'empty', conditions: { shorter_suggestion: true } },
+    { id: 'c', name: 'ok', violation_pattern: '^OK$' }
+  ]);
+  assert.deepEqual(rules.map(rule => rule.name), ['ok']);
+});
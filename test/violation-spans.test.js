@@ -0,0 +1,92 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.CACHE_BACKEND = 'memory';
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_ANON_KEY;
+
+let resolveViolationSpans;
+let buildCorrectedText;
+
+before(async () => {
+  ({ resolveViolationSpans, buildCorrectedText } = await import('../api/analyze.js'));
+});
+
+const spans = violations => violations.map(({ original, start, end }) => ({ original, start, end }));
+
+test('offsets that point at the original text are kept', () => {
+  const text = 'Click here to pay now';
+  const resolved = resolveViolationSpans(text, [{ original: 'pay', suggested: 'checkout', start: 14, end: 17, confidence: 0.9 }]);
+
+  assert.deepEqual(spans(resolved), [{ original: 'pay', start: 14, end: 17 }]);
+  assert.equal(buildCorrectedText(text, resolved), 'Click here to checkout now');
+});
+
+test('wrong or missing offsets are replaced by the nearest occurrence', () => {
+  const text = 'Pay now';
+  assert.deepEqual(spans(resolveViolationSpans(text, [{ original: 'now', start: 0, end: 3 }])), [{ original: 'now', start: 4, end: 7 }]);
+  assert.deepEqual(spans(resolveViolationSpans(text, [{ original: 'now' }])), [{ original: 'now', start: 4, end: 7 }]);
+});
+
+test('each occurrence of a repeated substring gets its own span', () => {
+  const text = 'click here, then click here again';
+  const resolved = resolveViolationSpans(text, [
+    { original: 'click here', suggested: 'select', confidence: 0.8 },
+    { original: 'click here', suggested: 'select', start: 17, end: 27, confidence: 0.9 },
+    { original: 'click here', suggested: 'select', confidence: 0.7 }
+  ]);
+
+  // The third finding has no free occurrence left
+  assert.deepEqual(spans(resolved), [
+    { original: 'click here', start: 0, end: 10 },
+    { original: 'click here', start: 17, end: 27 }
+  ]);
+  assert.equal(buildCorrectedText(text, resolved), 'select, then select again');
+});
+
+test('matching is case-sensitive', () => {
+  const resolved = resolveViolationSpans('Click here, then click here', [{ original: 'click here', suggested: 'select' }]);
+  assert.deepEqual(spans(resolved), [{ original: 'click here', start: 17, end: 27 }]);
+});
+
+test('an occurrence near the hint wins over an earlier one', () => {
+  const text = 'Save now, buy now, pay now';
+  const resolved = resolveViolationSpans(text, [{ original: 'now', suggested: 'today', start: 22, end: 25 }]);
+
+  assert.deepEqual(spans(resolved), [{ original: 'now', start: 23, end: 26 }]);
+  assert.equal(buildCorrectedText(text, resolved), 'Save now, buy now, pay today');
+});
+
+test('overlapping violations keep the more confident one', () => {
+  const text = 'Sign up for free today';
+  const resolved = resolveViolationSpans(text, [
+    { original: 'Sign up for free', suggested: 'Join free', confidence: 0.6 },
+    { original: 'for free', suggested: 'free', confidence: 0.9 }
+  ]);
+
+  assert.deepEqual(spans(resolved), [{ original: 'for free', start: 8, end: 16 }]);
+  assert.equal(buildCorrectedText(text, resolved), 'Sign up free today');
+});
+
+test('violations without an original or not in the text are dropped', () => {
+  const text = 'Pay now';
+  assert.deepEqual(resolveViolationSpans(text, [
+    { suggested: 'Checkout' },
+    { original: '', suggested: 'Checkout' },
+    { original: 'Lorem ipsum', suggested: 'Dolor' }
+  ]), []);
+  assert.equal(buildCorrectedText(text, []), 'Pay now');
+});
+
+test('fixes of different lengths are applied to their own spans', () => {
+  const text = 'Click here to pay 500,000 now';
+  const resolved = resolveViolationSpans(text, [
+    { original: 'Click here', suggested: 'Select', confidence: 0.9 },
+    { original: '500,000', suggested: '5 lakh', confidence: 1 },
+    { original: 'now', suggested: 'today', confidence: 0.8 }
+  ]);
+
+  assert.deepEqual(resolved.map(v => v.start), [0, 18, 26]);
+  assert.equal(buildCorrectedText(text, resolved), 'Select to pay 5 lakh today');
+});